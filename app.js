@@ -1,16 +1,16 @@
 /* app.js - visor Leaflet (GeoJSON/TopoJSON) */
 
 // ---------- Helpers ----------
-function withCacheBust(url) {
+// Versión de los datos (config.js): cambia la URL solo cuando se publican datos nuevos, así
+// el navegador y el service worker pueden guardarlos (antes: Date.now() en cada carga)
+function withDataVersion(url) {
   const sep = url.includes('?') ? '&' : '?';
-  return `${url}${sep}v=${Date.now()}`;
+  return `${url}${sep}v=${encodeURIComponent(window.DATA_VERSION || '1')}`;
 }
 
 async function fetchJson(url) {
-  const u = withCacheBust(url);
+  const u = withDataVersion(url);
   const res = await fetch(u, {
-    // Si GitHub Pages cachea agresivo, esto ayuda.
-    cache: 'no-store',
     // Mantener CORS normal; si el servidor no permite CORS, la solución real es usar USE_LOCAL_DATA=true.
     mode: 'cors'
   });
@@ -20,6 +20,34 @@ async function fetchJson(url) {
   return res.json();
 }
 
+// Carga diferida de librerías opcionales (solo cuando el usuario usa la función)
+const _scriptPromises = {};
+function loadScript(url) {
+  if (!_scriptPromises[url]) {
+    _scriptPromises[url] = new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = url;
+      s.async = true;
+      s.crossOrigin = 'anonymous';
+      s.onload = () => resolve();
+      s.onerror = () => {
+        delete _scriptPromises[url];
+        reject(new Error(`No se pudo cargar ${url}`));
+      };
+      document.head.appendChild(s);
+    });
+  }
+  return _scriptPromises[url];
+}
+
+function loadStylesheet(url) {
+  if (document.querySelector(`link[rel="stylesheet"][href="${url}"]`)) return;
+  const l = document.createElement('link');
+  l.rel = 'stylesheet';
+  l.href = url;
+  document.head.appendChild(l);
+}
+
 // ---------- Reproyección puntual (solo para cantones NBI) ----------
 // Nota: Leaflet espera GeoJSON en EPSG:4326 (lon/lat).
 // Si el archivo viene en UTM (valores grandes tipo 500000 / 9900000), lo convertimos al vuelo.
@@ -83,55 +111,226 @@ function _reprojectCantonesIfNeeded(gj) {
   const src = 'EPSG:32717';
   const dst = 'EPSG:4326';
 
-  const clone = JSON.parse(JSON.stringify(gj));
-  const reprojGeom = (g) => {
-    if (!g) return;
-    _iterCoordsDeep(g.coordinates, (pt) => {
-      const x = pt[0], y = pt[1];
-      const out = proj4(src, dst, [x, y]);
-      pt[0] = out[0];
-      pt[1] = out[1];
-    });
-  };
+  // Copia solo las coordenadas (las propiedades se comparten; no hace falta clonarlas).
+  // Mejor aún: build_data.js deja los archivos ya en EPSG:4326 y esto no se ejecuta.
+  const mapCoords = c => (typeof c[0] === 'number' ? proj4(src, dst, [c[0], c[1]]) : c.map(mapCoords));
+  const reprojGeom = g => (g && g.coordinates ? { ...g, coordinates: mapCoords(g.coordinates) } : g);
+
+  let out = gj;
+  if (gj.type === 'FeatureCollection') {
+    out = { ...gj, features: (gj.features || []).map(f => ({ ...f, geometry: reprojGeom(f.geometry) })) };
+  } else if (gj.type === 'Feature') {
+    out = { ...gj, geometry: reprojGeom(gj.geometry) };
+  } else if (gj.type) {
+    out = reprojGeom(gj);
+  }
+
+  console.warn('[NBI] GeoJSON reproyectado al vuelo desde EPSG:32717 -> EPSG:4326 (ejecuta build_data.js para evitarlo).');
+  return out;
+}
+
 
-  if (clone.type === 'FeatureCollection') {
-    for (const f of (clone.features || [])) reprojGeom(f.geometry);
-  } else if (clone.type === 'Feature') {
-    reprojGeom(clone.geometry);
-  } else if (clone.type) {
-    reprojGeom(clone);
+
+// ---------- Catálogo de capas (catalogo_capas.json) ----------
+// Cada capa declara fuente, geometría, clasificación, colores, campos de popup y leyenda.
+// Las capas "builtin" tienen lógica propia en este archivo (registro por AMIE, drill-down, …)
+// pero toman del catálogo su fuente, simbología y leyenda; el resto se arma de forma genérica
+// (checkbox, carga, símbolos, popup y leyenda) sin escribir JavaScript.
+let layerCatalog = [];
+
+// Catálogo mínimo si catalogo_capas.json no carga: mismas filas y fuentes de las capas
+// builtin (sin clasificación ni leyendas propias, que vuelven a los valores por defecto).
+const DEFAULT_LAYER_CATALOG = [
+  { id: 'provincias', title: 'Provincias', geometry: 'polygon', checkbox: 'tgProv', visible: true,
+    source: { path: 'provincias_simplificado.geojson', topojson: 'data/provincias_simplificado.topo.json' } },
+  { id: 'cantonesNbi', title: 'Cantones con NBI > 50%', geometry: 'polygon', checkbox: 'tgNbi', visible: true,
+    source: { path: 'data/cantones_nbi_mayor_50.geojson', topojson: 'data/cantones_nbi_mayor_50.topo.json' } },
+  { id: 'ieNoAtendidas', title: 'Sostenimientos Fiscales sin Atención', geometry: 'point', checkbox: 'tgIENo',
+    source: { path: 'data/ie_fiscales_no_atendidas.geojson', topojson: 'data/ie_fiscales_no_atendidas.topo.json' } },
+  { id: 'priorizacionZona', title: 'Zona de Atención Prioritaria', geometry: 'point', checkbox: 'tgPrior',
+    source: { path: 'data/Priorizacion_Zona.geojson', topojson: 'data/Priorizacion_Zona.topo.json' } },
+  { id: 'violencia', title: 'Total Casos de Violencia (burbujas)', geometry: 'point', checkbox: 'tgViol',
+    source: { path: 'data/total_casos_violencia.geojson', topojson: 'data/total_casos_violencia.topo.json' } },
+  { id: 'otrasNacionalidades', title: 'Total Estudiantes Otras Nacionalidades (burbujas)', geometry: 'point', checkbox: 'tgOtras',
+    source: { path: 'data/total_estudiantes_otras_nacionalidades.geojson', topojson: 'data/total_estudiantes_otras_nacionalidades.topo.json' } },
+  { id: 'servicios', title: 'Servicios básicos', geometry: 'point',
+    source: { path: 'data/servicios_agua_luz.geojson', topojson: 'data/servicios_agua_luz.topo.json' } }
+].map(l => ({ ...l, builtin: true }));
+
+async function loadLayerCatalog() {
+  try {
+    const cat = await fetchJson(window.LAYER_CATALOG_URL || 'catalogo_capas.json');
+    layerCatalog = (Array.isArray(cat.layers) ? cat.layers : []).filter(l => l && l.id);
+  } finally {
+    // Sin catálogo el visor sigue con las capas base (el error lo muestra init)
+    if (!layerCatalog.length) layerCatalog = DEFAULT_LAYER_CATALOG;
+    applyCatalogColors();
+    applyCatalogPopupFields();
   }
+  return layerCatalog;
+}
+
+function catalogLayer(id) {
+  return layerCatalog.find(l => l.id === id) || null;
+}
 
-  console.warn('[NBI] GeoJSON reproyectado al vuelo desde EPSG:32717 -> EPSG:4326 (solo para cantones NBI).');
-  return clone;
+function catalogCheckboxId(entry) {
+  return entry.checkbox || `tgCat_${entry.id}`;
 }
 
+// Serie temporal: "date" es la fecha de "source" y "versions" las fuentes de otras fechas
+// ([{ date, source }]). Fechas como texto ordenable ("2023", "2024-06").
+const timeState = { date: null, diffFrom: null }; // date null = lo más reciente ("source")
+
+function layerVersions(entry) {
+  if (!entry || !Array.isArray(entry.versions) || !entry.versions.length) return [];
+  const all = entry.versions.filter(v => v && v.date && v.source).map(v => ({ ...v, date: String(v.date) }));
+  if (entry.date) all.push({ date: String(entry.date), source: entry.source });
+  return all.sort((a, b) => a.date.localeCompare(b.date));
+}
 
+// Fuente de la capa a una fecha: la última versión no posterior. Capas sin serie: siempre "source".
+// null = la capa no tiene datos a esa fecha.
+function versionSourceFor(entry, date) {
+  if (!entry) return null;
+  const vs = layerVersions(entry);
+  if (!date || !vs.length) return entry.source || null;
+  let pick = null;
+  for (const v of vs) if (v.date <= date) pick = v;
+  return pick ? pick.source : null;
+}
 
-function getSourceUrl(key) {
-  // Prioridad: local (misma web) -> LAYER_URLS (Releases) -> fallback con DEFAULT_RELEASE_BASE
-  if (window.USE_LOCAL_DATA && window.LOCAL_PATHS && window.LOCAL_PATHS[key]) {
-    return window.LOCAL_PATHS[key];
+// Ruta de config.js (LOCAL_PATHS / LAYER_URLS) que reemplaza a la del catálogo, si existe.
+// Claves: "<id>" o "<id>Geo" para el GeoJSON y "<id>Topo" para el TopoJSON (p.ej. cantonesNbiTopo).
+function sourceOverride(id, variant = 'path') {
+  const keys = variant === 'topojson' ? [`${id}Topo`] : [id, `${id}Geo`];
+  for (const k of keys) {
+    if (window.USE_LOCAL_DATA && window.LOCAL_PATHS && window.LOCAL_PATHS[k]) return window.LOCAL_PATHS[k];
+    if (window.LAYER_URLS && window.LAYER_URLS[k]) return window.LAYER_URLS[k];
   }
-  if (window.LAYER_URLS && window.LAYER_URLS[key]) {
-    return window.LAYER_URLS[key];
+  return null;
+}
+
+function getSourceUrl(id, variant = 'path', date = timeState.date) {
+  // Prioridad: rutas de config.js (opcionales) -> fuente declarada en el catálogo.
+  // En otra fecha de la serie temporal se usa la versión del catálogo (config.js es la actual).
+  const entry = catalogLayer(id);
+  const src = versionSourceFor(entry, date);
+  if (src === entry?.source || !entry) {
+    const override = sourceOverride(id, variant);
+    if (override) return override;
   }
-  // fallback: usa DEFAULT_RELEASE_BASE si existe
-  if (typeof DEFAULT_RELEASE_BASE !== 'undefined' && DEFAULT_RELEASE_BASE) {
-    const map = {
-      provincias: 'provincias_simplificado.geojson',
-      cantonesNbiGeo: 'cantones_nbi_mayor_50.geojson',
-      cantonesNbiTopo: 'cantones_nbi_mayor_50.topo.json',
-      violencia: 'total_casos_violencia.geojson',
-      otrasNacionalidades: 'total_estudiantes_otras_nacionalidades.geojson',
-      ieNoAtendidas: 'ie_fiscales_no_atendidas.geojson',
-      servicios: 'servicios_agua_luz.geojson'
-    };
-    if (map[key]) return DEFAULT_RELEASE_BASE + map[key];
+  const path = src?.[variant];
+  if (!path) return null;
+  if (/^https?:\/\//i.test(path)) return path;
+  return window.USE_LOCAL_DATA ? path : (window.RAW_BASE || '') + path;
+}
+
+// GeoJSON (EPSG:4326) de una capa: primero la salida de build_data.js (TopoJSON cuantizado,
+// reproyectado y sin campos sobrantes); si falta o falla, el GeoJSON original.
+// Si config.js reemplaza solo el GeoJSON, se usa ese (el TopoJSON del catálogo sería otro dato).
+// "date": fecha de la serie temporal (por defecto la elegida en el deslizador).
+async function fetchLayerData(id, date = timeState.date) {
+  // Sin versión a esa fecha la capa está vacía (no es un error de carga)
+  const entry = catalogLayer(id);
+  if (entry && date && !versionSourceFor(entry, date)) return { type: 'FeatureCollection', features: [] };
+  const topoUrl = sourceOverride(id) && !sourceOverride(id, 'topojson') ? null : getSourceUrl(id, 'topojson', date);
+  if (topoUrl && window.topojson) {
+    try {
+      return topologyToGeoJSON(await fetchJson(topoUrl));
+    } catch (e) {
+      console.warn(`[${id}] No se pudo cargar el TopoJSON, se usa el GeoJSON:`, e);
+    }
+  }
+  const url = getSourceUrl(id, 'path', date);
+  if (!url) throw new Error(`No hay URL para ${id}`);
+  return _reprojectCantonesIfNeeded(await fetchJson(url));
+}
+
+// Valor del campo de clasificación ("field" puede ser un nombre o una lista de alternativas)
+function catalogFieldValue(cl, p) {
+  if (!cl || !cl.field) return null;
+  const v = getProp(p, Array.isArray(cl.field) ? cl.field : [cl.field]);
+  return cl.type === 'graduated' ? toNumber(v) : v;
+}
+
+// Entrada de la clasificación que corresponde a un valor (null = sin símbolo propio)
+function classifyValue(cl, v) {
+  if (!cl) return null;
+  if (cl.type === 'single') return {};
+  if (cl.type === 'categorical') {
+    const k = v === null || v === undefined ? '' : String(v).trim().toUpperCase();
+    const c = (cl.categories || {})[k] || cl.default || null;
+    return typeof c === 'string' ? { color: c } : c;
+  }
+  if (cl.type === 'graduated') {
+    // NULL/0 con "zero": punto pequeño (para no “desaparecer” registros)
+    if (v === null || v === undefined || (cl.zero && v <= 0)) return cl.zero || null;
+    return (cl.classes || []).find(c => (c.min === undefined || v >= c.min) && (c.max === undefined || v <= c.max)) || null;
   }
   return null;
 }
 
+// Símbolo de punto { radius, fill, stroke, weight, fillOpacity } según el catálogo
+function catalogSymbol(id, v) {
+  const cl = catalogLayer(id)?.classification;
+  const c = classifyValue(cl, v);
+  if (!c) return {};
+  const s = { ...(cl.symbol || {}), ...c };
+  const radius = Array.isArray(s.radiusSqrt) && v > 0 ? s.radiusSqrt[0] + Math.sqrt(v) * s.radiusSqrt[1] : s.radius;
+  return { radius, fill: s.color ?? s.fill, stroke: s.stroke, weight: s.weight, fillOpacity: s.fillOpacity };
+}
+
+// Estilo de polígono: "style" de la capa + color de relleno de su clase (si clasifica)
+function catalogPolygonStyle(entry, v) {
+  const base = { ...(entry.style || {}) };
+  const c = classifyValue(entry.classification, v);
+  if (c && c.color) base.fillColor = c.color;
+  return base;
+}
+
+// Valores representativos (y rótulos) de cada clase: la leyenda los pasa por la MISMA función
+// de simbología que dibuja el mapa. Los rótulos salen de los cortes; "label" los reemplaza.
+function classificationSamples(cl) {
+  if (!cl) return [];
+  if (cl.type === 'single') return [{ value: undefined, label: cl.symbol?.label }];
+  if (cl.type === 'categorical') {
+    const its = Object.entries(cl.categories || {}).map(([k, c]) => ({ value: k, label: c?.label || k }));
+    if (cl.default) its.push({ value: null, label: cl.default.label || 'Otros' });
+    return its;
+  }
+  // graduated: "integer" = conteos (clases 1–3, 4–8, ≥ 9); si no, límites abiertos (> 3 – 8)
+  const fmt = v => v.toLocaleString('es-EC', { maximumFractionDigits: 2 });
+  const step = cl.integer ? 1 : 0;
+  const its = cl.zero ? [{ value: 0, label: cl.zero.label || 'Sin dato / 0' }] : [];
+  (cl.classes || []).forEach((c, i, arr) => {
+    const prev = i ? arr[i - 1].max : (cl.zero ? 0 : undefined);
+    const lo = c.min ?? (prev === undefined ? undefined : prev + step);
+    const closed = c.min !== undefined || step;
+    let label;
+    if (c.max === undefined) label = closed ? `≥ ${fmt(lo)}` : `> ${fmt(prev)}`;
+    else if (lo === undefined) label = `≤ ${fmt(c.max)}`;
+    else label = `${closed ? fmt(lo) : `> ${fmt(lo)}`} – ${fmt(c.max)}`;
+    // La clase abierta se muestra con el doble de su límite inferior
+    its.push({ value: c.max ?? (lo > 0 ? lo * 2 : 1), label: c.label || label });
+  });
+  return its;
+}
+
+// Ítems de leyenda de una capa del catálogo (ver "Leyendas generadas")
+function catalogLegendItems(entry, symbolFn, weight) {
+  const cl = entry.classification;
+  if (entry.geometry !== 'point') {
+    const samples = cl ? classificationSamples(cl) : [{ value: undefined }];
+    return samples.map((sm) => {
+      const st = catalogPolygonStyle(entry, sm.value);
+      return { label: sm.label ?? entry.title, fill: st.fillColor ?? st.color, fillOpacity: st.fillOpacity ?? 0.2, border: st.color, line: entry.geometry === 'line' };
+    });
+  }
+  const fn = symbolFn || (v => catalogSymbol(entry.id, v));
+  return classificationSamples(cl).map(sm => ({ label: sm.label ?? entry.title, style: pointSymbolStyle(fn(sm.value) || {}, weight) }));
+}
+
 function setStatus(msg) {
   // En index.html el span de estado es: <span id="status">...</span>
   const box = document.getElementById('status');
@@ -139,6 +338,11 @@ function setStatus(msg) {
   box.textContent = msg || '';
 }
 
+// Texto del usuario (archivos de capas propias, título de impresión) antes de insertarlo como HTML
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 // ---------- Map init ----------
 const map = L.map('map', {
   preferCanvas: true,
@@ -165,16 +369,37 @@ const esriRef = L.tileLayer(
 
 const baseHibrido = L.layerGroup([baseSatelite, esriRef]);
 
+const BASEMAPS = { 'Mapa': baseMapa, 'Satélite': baseSatelite, 'Híbrido': baseHibrido };
+
+// Teselas descargables para uso sin conexión (config.js -> OFFLINE_TILES); OSM y Esri no lo permiten
+const OFFLINE_TILES = window.OFFLINE_TILES && window.OFFLINE_TILES.url ? window.OFFLINE_TILES : null;
+const OFFLINE_BASE_NAME = OFFLINE_TILES ? (OFFLINE_TILES.label || 'Mapa sin conexión') : null;
+const baseOffline = OFFLINE_TILES
+  ? L.tileLayer(OFFLINE_TILES.url, { attribution: OFFLINE_TILES.attribution || '', maxZoom: OFFLINE_TILES.maxZoom || 18, subdomains: OFFLINE_TILES.subdomains || 'abc' })
+  : null;
+if (baseOffline) BASEMAPS[OFFLINE_BASE_NAME] = baseOffline;
+let currentBaseName = 'Mapa';
+
 // Base por defecto
 baseMapa.addTo(map);
 
 // Switcher abajo a la derecha ("parte final del mapa")
 L.control.layers(
-  { 'Mapa': baseMapa, 'Satélite': baseSatelite, 'Híbrido': baseHibrido },
+  BASEMAPS,
   {},
   { position: 'bottomright', collapsed: false }
 ).addTo(map);
 
+map.on('baselayerchange', (e) => { currentBaseName = e.name; });
+
+function setBasemap(name) {
+  if (!BASEMAPS[name] || name === currentBaseName) return;
+  Object.values(BASEMAPS).forEach(l => map.removeLayer(l));
+  BASEMAPS[name].addTo(map);
+  currentBaseName = name;
+  // El control de capas escucha layeradd/layerremove y actualiza su radio
+}
+
 // Panes para controlar el orden de dibujo (polígonos abajo, puntos arriba)
 map.createPane('panePoligonos');
 map.getPane('panePoligonos').style.zIndex = 350;
@@ -188,28 +413,32 @@ map.getPane('panePuntos').style.zIndex = 450;
 map.createPane('paneServices');
 map.getPane('paneServices').style.zIndex = 430;
 
+// Superficie de densidad (heatmap): bajo los puntos para poder seguir haciendo clic en ellos
+map.createPane('paneHeat');
+map.getPane('paneHeat').style.zIndex = 425;
+map.getPane('paneHeat').style.pointerEvents = 'none';
+
+// Resaltado (búsqueda / selección) por encima de todo
+map.createPane('paneHighlight');
+map.getPane('paneHighlight').style.zIndex = 460;
+map.getPane('paneHighlight').style.pointerEvents = 'none';
+
 const layers = {
   provincias: null,
   cantonesNbi: null,
-  violencia: null,
-  otrasNacionalidades: null,
-  ieNoAtendidas: null,
-  servicios: null,
-  // Zona de Atención Prioritaria (por estado)
-  priorizacionZona: null,
-  priorizacionZonaBueno: null,
-  priorizacionZonaDeterioro: null,
-  priorizacionZonaMalo: null
+  // Puntos: un solo grupo con el registro unido por AMIE (ver "Registro único")
+  schools: null
 };
 
 // ---------- Styles ----------
 function styleProvincias() {
-  return { color: '#ff0000', weight: 1.5, fill: false, opacity: 1 };
+  // Relleno transparente (catálogo): permite hacer clic dentro de la provincia (drill-down)
+  return { ...(catalogLayer('provincias')?.style || {}) };
 }
 
 function styleCantones() {
-  // Cantones con NBI > 50% (polígono)
-  return { color: '#de9c07', fillColor: '#de9c07', weight: 1.2, fill: true, fillOpacity: 0.20 };
+  // Cantones con NBI > 50% (polígono; colores del catálogo)
+  return { ...(catalogLayer('cantonesNbi')?.style || {}) };
 }
 
 function circleStyle() {
@@ -255,62 +484,160 @@ function isYes(v) {
   return ['si','sí','s','y','yes','true','1'].includes(s);
 }
 
+function isNo(v) {
+  if (v === null || v === undefined) return false;
+  const s = String(v).trim().toLowerCase();
+  return s === 'no' || s === 'n';
+}
+
+// ---------- Geometría (punto en polígono) ----------
+// Ray casting sobre anillos GeoJSON [lon, lat]. Se usa para resumir lo que cae dentro
+// de una provincia / cantón / área dibujada.
+function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+    if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) inside = !inside;
+  }
+  return inside;
+}
+
+function pointInPolygonRings(x, y, rings) {
+  if (!rings || !rings.length || !pointInRing(x, y, rings[0])) return false;
+  for (let h = 1; h < rings.length; h++) {
+    if (pointInRing(x, y, rings[h])) return false; // huecos
+  }
+  return true;
+}
+
+function pointInGeometry(lng, lat, g) {
+  if (!g) return false;
+  if (g.type === 'Polygon') return pointInPolygonRings(lng, lat, g.coordinates);
+  if (g.type === 'MultiPolygon') return g.coordinates.some(rings => pointInPolygonRings(lng, lat, rings));
+  return false;
+}
+
+function geometryBBox(g) {
+  const b = [Infinity, Infinity, -Infinity, -Infinity];
+  _iterCoordsDeep(g && g.coordinates, (pt) => {
+    if (pt[0] < b[0]) b[0] = pt[0];
+    if (pt[1] < b[1]) b[1] = pt[1];
+    if (pt[0] > b[2]) b[2] = pt[0];
+    if (pt[1] > b[3]) b[3] = pt[1];
+  });
+  return b;
+}
+
+// Registros del registro AMIE que caen dentro de la geometría (bbox primero, luego PIP)
+function schoolsInGeometry(g, records) {
+  const b = geometryBBox(g);
+  const out = [];
+  for (const rec of (records || schoolRegistry.byAmie.values())) {
+    const x = rec.latlng.lng, y = rec.latlng.lat;
+    if (x < b[0] || x > b[2] || y < b[1] || y > b[3]) continue;
+    if (pointInGeometry(x, y, g)) out.push(rec);
+  }
+  return out;
+}
+
+
 // ---------- Popup (card style) ----------
-function popupCardHTML(p) {
-  const title =
-    getProp(p, ['NOM_INSTIT','NOMBRE','NOMBRE_IE_','NOM_INSTITU','NOMBRE_IE']) ||
-    'Registro';
-  const amie = getProp(p, ['AMIE','CODAMIE','CODIGO_AMIE']) || '—';
-
-  // Fields to show (only if exist)
-  const candidates = [
-    ['ESTADO', ['NOM_ESTADO','ESTADO_IE_','ESTADO_IE','ESTADO']],
-    ['TIPO DE MATERIAL', ['TIPO_MATERIAL','TIPO_MATERI','TIPO_MAT','TE_fin']],
-    ['SOSTENIMIENTO', ['SOSTENIMIENTO','NOM_SOSTEN','NOM_SOSTENIMIENTO']],
-    ['NIVEL EDUCATIVO', ['NIVEL_EDUCATIVO','NIVEL_EDU','OFERTA_1','OFERTA_2','OFERTA_3','OFERTA_4']],
-    ['REGIMEN', ['REGIMEN']],
-    ['PROVINCIA', ['DPA_DESPRO','DPA_DESPROV','PROVINCIA']],
-    ['CANTÓN', ['DPA_DESCAN','CANTON','CANTÓN']],
-    ['PARROQUIA', ['DPA_DESPAR','PARROQUIA']],
-    ['ZONA', ['DA_ZONA','ZONA']],
-    ['DISTRITO', ['DA_DIST','NOM_DISTRI','DISTRITO']],
-    ['TOTAL ESTUDIANTES', ['Total estu','TOTAL_ESTU','TOTAL_EST','total_estudiantes']],
-    ['TOTAL CASOS', ['Total_Caso','Total Caso','TOTAL_CASOS','total_casos']]
-  ];
+// Campos del popup: [etiqueta, claves candidatas]. Se reutilizan como columnas al exportar.
+const POPUP_FIELDS = [
+  ['ESTADO', ['NOM_ESTADO','ESTADO_IE_','ESTADO_IE','ESTADO']],
+  ['TIPO DE MATERIAL', ['TIPO_MATERIAL','TIPO_MATERI','TIPO_MAT','TE_fin']],
+  ['SOSTENIMIENTO', ['SOSTENIMIENTO','NOM_SOSTEN','NOM_SOSTENIMIENTO']],
+  ['NIVEL EDUCATIVO', ['NIVEL_EDUCATIVO','NIVEL_EDU','OFERTA_1','OFERTA_2','OFERTA_3','OFERTA_4']],
+  ['REGIMEN', ['REGIMEN']],
+  ['PROVINCIA', ['DPA_DESPRO','DPA_DESPROV','PROVINCIA']],
+  ['CANTÓN', ['DPA_DESCAN','CANTON','CANTÓN']],
+  ['PARROQUIA', ['DPA_DESPAR','PARROQUIA']],
+  ['ZONA', ['DA_ZONA','ZONA']],
+  ['DISTRITO', ['DA_DIST','NOM_DISTRI','DISTRITO']],
+  ['TOTAL ESTUDIANTES', ['Total estu','TOTAL_ESTU','TOTAL_EST','total_estudiantes']],
+  ['TOTAL CASOS', ['__TOTAL_CASOS','Total Caso','TOTAL_CASOS','total_casos']],
+  ['ÍNDICE DE PRIORIDAD', ['__INDICE']],
+  ['CAPAS', ['__CAPAS']]
+];
+
+// Campos de popup declarados en el catálogo para capas builtin: se agregan a la ficha
+// común (si la etiqueta aún no existe), antes de ÍNDICE / CAPAS
+function applyCatalogPopupFields() {
+  const tail = POPUP_FIELDS.findIndex(([label]) => label === 'ÍNDICE DE PRIORIDAD');
+  const extra = [];
+  for (const entry of layerCatalog.filter(l => l.builtin)) {
+    for (const [label, key] of (entry.popup || [])) {
+      if (POPUP_FIELDS.some(([l]) => l === label) || extra.some(([l]) => l === label)) continue;
+      extra.push([label, Array.isArray(key) ? key : [key]]);
+    }
+  }
+  POPUP_FIELDS.splice(tail < 0 ? POPUP_FIELDS.length : tail, 0, ...extra);
+}
 
-  const rows = [];
-  for (const [label, keys] of candidates) {
-    let v;
-    if (label === 'ESTADO') {
-      const cand = getProp(p, ['__ESTADO_PRIOR','ESTADO_PRIOR','ESTADO_IE_','ESTADO_IE','ESTADO']);
-      const up = cand !== null ? String(cand).toUpperCase() : null;
-      if (up && ['BUENO','DETERIORO','MALO'].includes(up)) {
-        v = up;
-      } else {
-        v = getProp(p, ['NOM_ESTADO','ESTADO_IE_','ESTADO_IE','ESTADO']);
-      }
-    } else {
-      v = getProp(p, keys);
-    }
-    if (v === null) continue;
-    // For OFERTA_*, join non-empty
-    if (label === 'NIVEL EDUCATIVO') {
-      const ofertas = ['OFERTA_1','OFERTA_2','OFERTA_3','OFERTA_4']
-        .map(k => getProp(p,[k]))
-        .filter(x => x !== null);
-      const joined = ofertas.length ? ofertas.join(', ') : v;
-      rows.push([label, joined]);
+const POPUP_SERVICE_FIELDS = [
+  ['Servicio_E', ['Servicio_E','Servicio_e','SERVICIO_E']],
+  ['Servicio_A', ['Servicio_A','Servicio_a','SERVICIO_A']]
+];
+
+function popupTitle(p) {
+  return getProp(p, ['NOM_INSTIT','NOMBRE','NOMBRE_IE_','NOM_INSTITU','NOMBRE_IE']) || 'Registro';
+}
+
+function popupAmie(p) {
+  return getProp(p, ['AMIE','CODAMIE','CODIGO_AMIE']) || '—';
+}
+
+// Valor mostrado para una etiqueta del popup (null si el registro no lo tiene)
+function popupFieldValue(p, label, keys) {
+  let v;
+  if (label === 'ESTADO') {
+    // Cualquier Estado de infraestructura (BUENO, REGULAR, …); si no hay, el estado del registro
+    const cand = getProp(p, ['__ESTADO_PRIOR','ESTADO_PRIOR','ESTADO_IE_','ESTADO_IE','ESTADO']);
+    const up = cand !== null ? String(cand).trim().toUpperCase() : '';
+    if (up) {
+      v = up;
     } else {
-      rows.push([label, v]);
+      v = getProp(p, ['NOM_ESTADO','ESTADO_IE_','ESTADO_IE','ESTADO']);
     }
+  } else {
+    v = getProp(p, keys);
+  }
+  if (v === null) return null;
+  // For OFERTA_*, join non-empty
+  if (label === 'NIVEL EDUCATIVO') {
+    const ofertas = ['OFERTA_1','OFERTA_2','OFERTA_3','OFERTA_4']
+      .map(k => getProp(p,[k]))
+      .filter(x => x !== null);
+    return ofertas.length ? ofertas.join(', ') : v;
+  }
+  return v;
+}
+
+function popupRows(p) {
+  const rows = [];
+  for (const [label, keys] of POPUP_FIELDS) {
+    const v = popupFieldValue(p, label, keys);
+    if (v !== null) rows.push([label, v]);
   }
+  return rows;
+}
+
+function popupServiceRows(p) {
+  return POPUP_SERVICE_FIELDS
+    .map(([label, keys]) => [label, getProp(p, keys)])
+    .filter(([, v]) => v !== null);
+}
+
+function popupCardHTML(p) {
+  const title = popupTitle(p);
+  const amie = popupAmie(p);
+
+  // Fields to show (only if exist); las capas genéricas del catálogo traen sus propias filas
+  const rows = p.__ROWS || popupRows(p);
 
   // Servicios: badges
-  const servE = getProp(p, ['Servicio_E','Servicio_e','SERVICIO_E']);
-  const servA = getProp(p, ['Servicio_A','Servicio_a','SERVICIO_A']);
-  const serviceRows = [];
-  if (servE !== null) serviceRows.push(['Servicio_E', servE]);
-  if (servA !== null) serviceRows.push(['Servicio_A', servA]);
+  const serviceRows = popupServiceRows(p);
 
   const rowsHtml = rows.map(([k,v]) => `
     <div class="pc-row">
@@ -337,6 +664,7 @@ function popupCardHTML(p) {
     <div class="pc-body">
       ${rowsHtml || '<div class="pc-empty">Sin atributos</div>'}
       ${serviceHtml}
+      ${p.__EXTRA_HTML || ''}
     </div>
   </div>`;
 }
@@ -470,20 +798,26 @@ function updateCantonLabelsByZoom() {
 
 
 // ---------- Loaders ----------
+let provinciasData = null;
+
+// GeoJSON de provincias (cacheado): lo usan la capa, el drill-down y la tabla de servicios
+async function loadProvinciasData() {
+  if (provinciasData) return provinciasData;
+  provinciasData = await fetchLayerData('provincias');
+  return provinciasData;
+}
+
 async function loadProvincias() {
-  const url = getSourceUrl('provincias') || 'provincias_simplificado.geojson';
-  const gj = await fetchJson(url);
+  const gj = await loadProvinciasData();
 
-  // Capa de polígonos (Provincias)
+  // Capa de polígonos (Provincias). Clic = drill-down a la provincia.
   const poly = L.geoJSON(gj, {
-    interactive: false,
     style: styleProvincias(),
     pane: 'panePoligonos',
     onEachFeature: (feat, l) => {
-      const p = feat.properties || {};
-      // Solo para Priorización: forzar el ESTADO del popup a BUENO/DETERIORO/MALO
-      const pp = { ...p, __ESTADO_PRIOR: normEstado(p) };
-      l.bindPopup(popupCardHTML(pp), { maxWidth: 360 });
+      l.on('click', () => { if (!mapClickTool) drillToProvincia(feat); });
+      l.on('mouseover', () => l.setStyle({ weight: 3 }));
+      l.on('mouseout', () => l.setStyle({ weight: styleProvincias().weight }));
     }
   });
 
@@ -495,349 +829,212 @@ async function loadProvincias() {
 
   return poly;
 }
-async function loadCantonesNbi() {
-  // Prioridad: GeoJSON (EPSG:4326). Fallback: TopoJSON (si existe).
-  const urlGeo = getSourceUrl('cantonesNbiGeo');
-  if (urlGeo) {
-    try {
-      const gj = await fetchJson(urlGeo);
-      const gjFixed = _reprojectCantonesIfNeeded(gj);
-
-      const poly = L.geoJSON(gjFixed, {
-        style: styleCantones(),
-        pane: 'panePoligonos',
-        onEachFeature: (feat, l) => {
-          const p = feat.properties || {};
-          l.bindPopup(popupCardHTML(p), { maxWidth: 360 });
-        }
-      });
-
-      const labels = buildCantonLabels(poly);
-      const group = L.layerGroup([poly, labels]);
-      // Mantiene la lógica de "polígonos al fondo" (toggleLayer usa bringToBack si existe)
-      group.bringToBack = () => poly.bringToBack();
-
-      layers.cantonesNbi = group;
-      layers.cantonesNbiPoly = poly;
-      layers.cantonesNbiLabels = labels;
-
-      // Asegura que el polígono (cantones) quede arriba para capturar clicks y mostrar popup
-  try { poly.bringToFront(); } catch (e) {}
-
-  if (!map._cantLabelsHook) {
-        map.on('zoomend', updateCantonLabelsByZoom);
-        map._cantLabelsHook = true;
-      }
-      setTimeout(updateCantonLabelsByZoom, 0);
-
-      return group;
-    } catch (e) {
-      console.warn('[NBI] No se pudo cargar GeoJSON, intento fallback TopoJSON:', e);
-    }
-  }
-
-  const urlTopo = getSourceUrl('cantonesNbiTopo');
-  if (!urlTopo) throw new Error('No hay URL para cantonesNbi (geojson/topojson)');
-
-  const topo = await fetchJson(urlTopo);
-  if (!window.topojson) {
-    throw new Error('TopoJSON no está disponible y GeoJSON falló. Revisa el archivo data/cantones_nbi_mayor_50.geojson');
-  }
-
-  const objName = Object.keys(topo.objects || {})[0];
-  if (!objName) throw new Error('TopoJSON sin objects');
-
-  const geo = topojson.feature(topo, topo.objects[objName]);
+// GeoJSON (ya en EPSG:4326) de cantones NBI: se guarda para poder reconstruir la capa
+// cuando cambian los filtros por atributo.
+let cantonesNbiData = null;
 
-  const poly = L.geoJSON(geo, {
-    style: styleCantones(),
+function buildCantonesNbiPoly() {
+  return L.geoJSON(cantonesNbiData, {
+    style: styleCantonNbi,
     pane: 'panePoligonos',
+    filter: (feat) => passesAttrFilters(feat.properties || {}),
     onEachFeature: (feat, l) => {
-      const p = feat.properties || {};
-      l.bindPopup(popupCardHTML(p), { maxWidth: 360 });
+      l.bindPopup(() => popupCardHTML(cantonPopupProps(feat)), { maxWidth: 360 });
+      l.on('click', () => { if (!mapClickTool) drillToCanton(feat); });
     }
   });
+}
+
+// Popup del cantón: atributos + índice de prioridad promedio (si ya se calculó)
+function cantonPopupProps(feat) {
+  const p = feat.properties || {};
+  if (!priorityIndexReady) return p;
+  const agg = priorityByCanton.find(a => a.feature === feat);
+  if (!agg) return p;
+  return {
+    ...p,
+    __EXTRA_HTML: `<div class="pc-sep"></div><div class="ix-title">Índice de prioridad promedio del cantón: <b>${agg.mean.toFixed(1)}</b> (${fmtInt(agg.n)} instituciones)</div>`
+  };
+}
 
+// (Re)arma polígono + etiquetas dentro del mismo grupo (el toggle sigue funcionando igual)
+function rebuildCantonesNbi() {
+  if (!cantonesNbiData) return null;
+
+  const poly = buildCantonesNbiPoly();
   const labels = buildCantonLabels(poly);
-  const group = L.layerGroup([poly, labels]);
+
+  let group = layers.cantonesNbi;
+  if (group) {
+    group.clearLayers();
+    group.addLayer(poly);
+    group.addLayer(labels);
+  } else {
+    group = L.layerGroup([poly, labels]);
+  }
+  // Mantiene la lógica de "polígonos al fondo" (toggleLayer usa bringToBack si existe)
   group.bringToBack = () => poly.bringToBack();
 
   layers.cantonesNbi = group;
   layers.cantonesNbiPoly = poly;
   layers.cantonesNbiLabels = labels;
 
-  if (!map._cantLabelsHook) {
-    map.on('zoomend', updateCantonLabelsByZoom);
-    map._cantLabelsHook = true;
+  if (map.hasLayer(group)) {
+    // Asegura que el polígono (cantones) quede arriba para capturar clicks y mostrar popup
+    try { poly.bringToFront(); } catch (e) {}
   }
   setTimeout(updateCantonLabelsByZoom, 0);
-
+  updateLayerCounts();
   return group;
 }
 
-async function loadPointLayer(key, layerKey, options) {
-  const url = getSourceUrl(key);
-  if (!url) throw new Error(`No hay URL para ${key}`);
-
-  const gj = await fetchJson(url);
-
-  const radiusKeys = (options && options.radiusKeys) ? options.radiusKeys : [];
-  const fixedRadius = (options && options.fixedRadius) ? options.fixedRadius : null;
-
-  const getRadius = (p) => {
-    if (fixedRadius !== null) return fixedRadius;
-    const v = getProp(p, radiusKeys);
-    return scaleRadius(v, (options.minR ?? 3), (options.maxR ?? 40), (options.factor ?? 1.6));
-  };
-
-  const getColors = (p) => {
-    if (options && typeof options.colorFn === 'function') return options.colorFn(p);
-    return {
-      fill: (options && options.fillColor) ? options.fillColor : '#ff7800',
-      stroke: (options && options.strokeColor) ? options.strokeColor : '#000'
-    };
-  };
-
-  // Permite control total del símbolo (radio + colores) para capas clasificadas (ej. violencia)
-  const getSymbol = (p) => {
-    if (options && typeof options.symbolFn === 'function') {
-      const s = options.symbolFn(p) || {};
-      return {
-        radius: (typeof s.radius === 'number') ? s.radius : getRadius(p),
-        fill: s.fill ?? getColors(p).fill,
-        stroke: s.stroke ?? getColors(p).stroke,
-        weight: (s.weight ?? options.weight),
-        fillOpacity: (s.fillOpacity ?? options.fillOpacity)
-      };
-    }
-    const c = getColors(p);
-    return { radius: getRadius(p), fill: c.fill, stroke: c.stroke };
-  };
-
-  const lyr = L.geoJSON(gj, {
-    pane: (options && options.pane) ? options.pane : 'panePuntos',
-    pointToLayer: (feat, latlng) => {
-      const p = feat.properties || {};
-      const s = getSymbol(p);
-      return L.circleMarker(latlng, {
-        radius: s.radius,
-        fillColor: s.fill,
-        color: s.stroke,
-        weight: (s.weight ?? options.weight) ?? 0.7,
-        opacity: 1,
-        fillOpacity: (s.fillOpacity ?? options.fillOpacity) ?? 0.75
-      });
-    },
-    onEachFeature: (feat, l) => {
-      const p = feat.properties || {};
-      l.bindPopup(popupCardHTML(p), { maxWidth: 360 });
-    }
-  });
+// Solo datos (sin capa): lo usan la capa NBI y los cálculos que necesitan los cantones
+async function loadCantonesNbiData() {
+  if (cantonesNbiData) return cantonesNbiData;
 
-  layers[layerKey] = lyr;
-  return lyr;
+  // TopoJSON de build_data.js (EPSG:4326). Fallback: GeoJSON original (reproyectado si viene en UTM)
+  cantonesNbiData = await fetchLayerData('cantonesNbi');
+  return cantonesNbiData;
 }
 
+async function loadCantonesNbi() {
+  await loadCantonesNbiData();
+  const group = rebuildCantonesNbi();
+
+  // Asegura que el polígono (cantones) quede arriba para capturar clicks y mostrar popup
+  try { layers.cantonesNbiPoly.bringToFront(); } catch (e) {}
 
-// ---------- Zona de Atención Prioritaria (subcapas por ESTADO_IE_) ----------
-let priorizacionData = null;
+  if (!map._cantLabelsHook) {
+    map.on('zoomend', updateCantonLabelsByZoom);
+    map._cantLabelsHook = true;
+  }
 
-async function loadPriorizacionData() {
-  if (priorizacionData) return priorizacionData;
-  const url = getSourceUrl('priorizacionZona');
-  if (!url) throw new Error('No hay URL para priorizacionZona');
-  priorizacionData = await fetchJson(url);
-  return priorizacionData;
+  return group;
 }
 
+// ---------- Zona de Atención Prioritaria (sub-toggles por ESTADO_IE_) ----------
 function normEstado(p) {
   const raw = getProp(p, ['ESTADO_IE_','ESTADO_IE','NOM_ESTADO','ESTADO']);
   return String(raw || '').trim().toUpperCase();
 }
 
-const PRIOR_COLORS = {
-  BUENO: '#32CD32',
-  DETERIORO: '#111111',
-  MALO: '#FF0000'
-};
+// Colores por ESTADO_IE_: clasificación de "priorizacionZona" del catálogo y, encima,
+// window.PRIOR_COLORS de config.js (opcional). Los Estados sin color toman uno de PRIOR_EXTRA_COLORS.
+const PRIOR_COLORS = {};
+const PRIOR_EXTRA_COLORS = ['#0ea5e9', '#a16207', '#db2777', '#0d9488', '#64748b'];
 
-function buildPriorizacionLayer(estadoUpper) {
-  return L.geoJSON(priorizacionData, {
-    pane: 'panePuntos',
-    filter: (feat) => {
-      const p = feat.properties || {};
-      return normEstado(p) === estadoUpper;
-    },
-    pointToLayer: (feat, latlng) => {
-      return L.circleMarker(latlng, {
-        radius: 4.2,
-        fillColor: (PRIOR_COLORS[estadoUpper] || '#7c3aed'),
-        color: '#ffffff',
-        weight: 1.2,
-        opacity: 1,
-        fillOpacity: 0.85
-      });
-    },
-    onEachFeature: (feat, l) => {
-      const p = feat.properties || {};
-      l.bindPopup(popupCardHTML(p), { maxWidth: 360 });
-    }
-  });
-}
+// Sub-toggle "Otros / sin dato": ESTADO_IE_ vacío o sin información
+const PRIOR_OTROS = '__OTROS';
+const PRIOR_SIN_DATO = ['S/I', 'SIN DATO', 'SIN INFORMACION', 'SIN INFORMACIÓN', 'N/A', 'ND'];
 
-async function ensurePriorizacionLayersBuilt() {
-  await loadPriorizacionData();
-  if (!layers.priorizacionZonaBueno) {
-    layers.priorizacionZonaBueno = buildPriorizacionLayer('BUENO');
-  }
-  if (!layers.priorizacionZonaDeterioro) {
-    layers.priorizacionZonaDeterioro = buildPriorizacionLayer('DETERIORO');
-  }
-  if (!layers.priorizacionZonaMalo) {
-    layers.priorizacionZonaMalo = buildPriorizacionLayer('MALO');
+// Un sub-toggle por cada Estado presente en los datos (se completa al cargar el registro).
+// "hidden" guarda los Estados desmarcados: así un valor nuevo aparece marcado.
+const priorEstados = { keys: [], hidden: new Set() };
+
+function applyCatalogColors() {
+  const cl = catalogLayer('priorizacionZona')?.classification || {};
+  for (const [k, c] of Object.entries(cl.categories || {})) {
+    PRIOR_COLORS[k.toUpperCase()] = typeof c === 'string' ? c : c.color;
   }
-  // Mantener una referencia "general" por si otros scripts la usan
-  layers.priorizacionZona = true;
+  PRIOR_COLORS[PRIOR_OTROS] = cl.default?.color || '#7c3aed';
+  for (const [k, c] of Object.entries(window.PRIOR_COLORS || {})) PRIOR_COLORS[k.toUpperCase()] = c;
+  priorEstados.keys = [...Object.keys(cl.categories || {}).map(k => k.toUpperCase()), PRIOR_OTROS];
 }
 
-function setPriorSubtogglesVisible(show) {
-  const box = document.getElementById('priorSubtoggles');
-  if (!box) return;
-  box.style.display = show ? 'block' : 'none';
+function priorEstadoKey(p) {
+  const v = String(getProp(p, ['ESTADO_IE_', 'ESTADO_IE', 'ESTADO']) ?? '').trim().toUpperCase();
+  return !v || PRIOR_SIN_DATO.includes(v) ? PRIOR_OTROS : v;
 }
 
-function removePriorLayersFromMap() {
-  if (layers.priorizacionZonaBueno) map.removeLayer(layers.priorizacionZonaBueno);
-  if (layers.priorizacionZonaDeterioro) map.removeLayer(layers.priorizacionZonaDeterioro);
-  if (layers.priorizacionZonaMalo) map.removeLayer(layers.priorizacionZonaMalo);
+function priorEstadoColor(key) {
+  return PRIOR_COLORS[key] || PRIOR_COLORS[PRIOR_OTROS] || '#7c3aed';
 }
 
-async function initPriorizacionToggles() {
-  const cbMain = document.getElementById('tgPrior');
-  const cbBueno = document.getElementById('tgPriorBueno');
-  const cbDet = document.getElementById('tgPriorDeterioro');
-  const cbMalo = document.getElementById('tgPriorMalo');
-
-  if (!cbMain) return;
-
-  const applySubs = async () => {
-    if (!cbMain.checked) return;
-    await ensurePriorizacionLayersBuilt();
-
-    // Bueno
-    if (cbBueno && cbBueno.checked) layers.priorizacionZonaBueno.addTo(map);
-    else if (layers.priorizacionZonaBueno) map.removeLayer(layers.priorizacionZonaBueno);
-
-    // Deterioro
-    if (cbDet && cbDet.checked) layers.priorizacionZonaDeterioro.addTo(map);
-    else if (layers.priorizacionZonaDeterioro) map.removeLayer(layers.priorizacionZonaDeterioro);
-
-    // Malo
-    if (cbMalo && cbMalo.checked) layers.priorizacionZonaMalo.addTo(map);
-    else if (layers.priorizacionZonaMalo) map.removeLayer(layers.priorizacionZonaMalo);
-  };
-
-  const onMainChange = async () => {
-    try {
-      setStatus('');
-      if (cbMain.checked) {
-        setStatus('Cargando capa...');
-        await ensurePriorizacionLayersBuilt();
-        setStatus('');
-        setPriorSubtogglesVisible(true);
-        await applySubs();
-      } else {
-        removePriorLayersFromMap();
-        setPriorSubtogglesVisible(false);
-      }
-    } catch (e) {
-      console.error(e);
-      setStatus(String(e.message || e));
-      cbMain.checked = false;
-      setPriorSubtogglesVisible(false);
-      removePriorLayersFromMap();
-    }
-  };
-
-  cbMain.addEventListener('change', onMainChange);
-  if (cbBueno) cbBueno.addEventListener('change', applySubs);
-  if (cbDet) cbDet.addEventListener('change', applySubs);
-  if (cbMalo) cbMalo.addEventListener('change', applySubs);
-
-  // Estado inicial
-  setPriorSubtogglesVisible(cbMain.checked);
-  if (cbMain.checked) await onMainChange();
+function priorEstadoLabel(key) {
+  const cl = catalogLayer('priorizacionZona')?.classification || {};
+  if (key === PRIOR_OTROS) return cl.default?.label || 'Otros / sin dato';
+  const c = Object.entries(cl.categories || {}).find(([k]) => k.toUpperCase() === key)?.[1];
+  return c?.label || `Estado: ${key}`;
 }
 
-
-// ---------- UI wiring ----------
-function setLegendVisible(id, show) {
-  const el = document.getElementById(id);
-  if (!el) return;
-  el.style.display = show ? 'block' : 'none';
+function priorEstadoSymbol(key) {
+  return { ...catalogSymbol('priorizacionZona', key), fill: priorEstadoColor(key) };
 }
 
-
-async function toggleLayer(checkboxId, loaderFn, layerKey) {
-  const cb = document.getElementById(checkboxId);
-  if (!cb) {
-    console.warn(`No existe checkbox con id="${checkboxId}" (revisa index.html)`);
-    return;
+// Estados del registro: primero los del catálogo (en su orden), luego los nuevos y al final "otros"
+function discoverPriorEstados() {
+  const found = new Set();
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (rec.sources.priorizacionZona) found.add(priorEstadoKey(rec.sources.priorizacionZona));
   }
+  const extra = [...found].filter(k => !priorEstados.keys.includes(k)).sort((a, b) => a.localeCompare(b, 'es'));
+  extra.forEach((k, i) => {
+    if (!PRIOR_COLORS[k]) PRIOR_COLORS[k] = PRIOR_EXTRA_COLORS[i % PRIOR_EXTRA_COLORS.length];
+  });
+  priorEstados.keys = [...priorEstados.keys.filter(k => k !== PRIOR_OTROS), ...extra, PRIOR_OTROS];
+  buildPriorSubtoggles();
+}
 
-  const onChange = async () => {
-    try {
-      setStatus('');
-      if (cb.checked) {
-        if (!layers[layerKey]) {
-          setStatus('Cargando capa...');
-          const lyr = await loaderFn();
-          lyr.addTo(map);
-          // Asegura orden (polígonos al fondo)
-          if (lyr && typeof lyr.bringToBack === 'function' && (layerKey === 'provincias' || layerKey === 'cantonesNbi')) {
-            lyr.bringToBack();
-          }
-          setStatus('');
-        } else {
-          layers[layerKey].addTo(map);
-        }
-      } else {
-        if (layers[layerKey]) map.removeLayer(layers[layerKey]);
-      }
-
-      // Leyenda (solo para Otras Nacionalidades)
-      if (checkboxId === 'tgOtras') {
-        setLegendVisible('legendOtras', cb.checked);
-      }
-    } catch (e) {
-      console.error(e);
-      setStatus(String(e.message || e));
-      cb.checked = false;
-    }
-  };
+function priorEstadoCheckboxId(key) {
+  return `tgPriorEst_${key === PRIOR_OTROS ? 'otros' : key.replace(/[^A-Z0-9]+/g, '_')}`;
+}
 
-  cb.addEventListener('change', onChange);
+function buildPriorSubtoggles() {
+  const box = document.getElementById('priorSubtoggles');
+  if (!box) return;
+  box.innerHTML = priorEstados.keys.map((k) => {
+    const id = priorEstadoCheckboxId(k);
+    return `<div class="toggle-row">
+      <input type="checkbox" id="${id}" data-prior-estado="${k}"${priorEstados.hidden.has(k) ? '' : ' checked'}>
+      <label for="${id}"><span class="sum-dot" style="background:${priorEstadoColor(k)}"></span>${priorEstadoLabel(k)}</label>
+    </div>`;
+  }).join('');
+  updatePriorEstadoCounts();
+}
 
-  // Si el checkbox ya viene marcado al cargar la página, dispara la carga automáticamente.
-  if (cb.checked) {
-    onChange();
+// Instituciones por Estado (con los filtros por atributo activos)
+function updatePriorEstadoCounts() {
+  if (!schoolRegistry.ready || !schoolRegistry.byAmie.size || schoolRegistry.errors.priorizacionZona) return;
+  const counts = Object.fromEntries(priorEstados.keys.map(k => [k, 0]));
+  for (const rec of schoolRegistry.byAmie.values()) {
+    const p = rec.sources.priorizacionZona;
+    if (!p || !passesAttrFilters(rec.props)) continue;
+    const k = priorEstadoKey(p);
+    counts[k] = (counts[k] || 0) + 1;
   }
+  for (const k of priorEstados.keys) setLayerCount(priorEstadoCheckboxId(k), counts[k]);
 }
 
-// Init
+function setPriorSubtogglesVisible(show) {
+  const box = document.getElementById('priorSubtoggles');
+  if (!box) return;
+  box.style.display = show ? 'block' : 'none';
+}
 
-// ---------- Servicios básicos (Sí/No por variable) ----------
-let serviciosData = null;
-const serviciosLayers = { e_si: null, e_no: null, a_si: null, a_no: null };
+function isPriorEstadoVisible(key) {
+  return !priorEstados.hidden.has(key);
+}
 
-async function loadServiciosData() {
-  if (serviciosData) return serviciosData;
-  const url = getSourceUrl('servicios');
-  if (!url) throw new Error('No hay URL para servicios');
-  serviciosData = await fetchJson(url);
-  return serviciosData;
+function initPriorEstados() {
+  const box = document.getElementById('priorSubtoggles');
+  if (!box) return;
+  box.addEventListener('change', (ev) => {
+    const k = ev.target.dataset?.priorEstado;
+    if (!k) return;
+    if (ev.target.checked) priorEstados.hidden.delete(k);
+    else priorEstados.hidden.add(k);
+    if (schoolRegistry.ready) {
+      renderSchools();
+      updateLayerCounts();
+    }
+  });
 }
 
+
+// ---------- Servicios básicos (iconos y símbolos) ----------
+const SERV_E_KEYS = ['Servicio_E', 'Servicio_e', 'SERVICIO_E'];
+const SERV_A_KEYS = ['Servicio_A', 'Servicio_a', 'SERVICIO_A'];
+
 function makeSvgDivIcon(svg, size = 22) {
   return L.divIcon({
     className: 'svc-icon',
@@ -866,183 +1063,4696 @@ const ICON_NO_LUZ = makeSvgDivIcon(`
 </svg>
 `, 22);
 
-function circleMarker(latlng, fill, stroke = '#000', radius = 6) {
-  return L.circleMarker(latlng, {
-    radius,
-    color: stroke,
-    weight: 0.7,
-    fillColor: fill,
-    fillOpacity: 0.75
-  });
+
+// Estado combinado (agua × electricidad). "si" = sin información en alguno de los dos.
+const ICON_SIN_SERVICIOS = makeSvgDivIcon(`
+<svg width="20" height="20" viewBox="0 0 64 64" aria-hidden="true">
+  <circle cx="32" cy="32" r="28" fill="#d50000" stroke="#fff" stroke-width="5"/>
+  <path d="M20 20 L44 44 M44 20 L20 44" stroke="#fff" stroke-width="8" stroke-linecap="round"/>
+</svg>
+`, 20);
+
+const SERVICE_STATUS = [
+  { id: 'ambos', label: 'Agua y electricidad', checkbox: 'tgServAmbos',
+    symbol: { radius: 4.5, fill: '#00c853', stroke: '#000', weight: 0.7 } },
+  { id: 'agua', label: 'Solo agua (sin electricidad)', checkbox: 'tgServSoloAgua',
+    symbol: { radius: 6, fill: '#0288d1', stroke: '#f59e0b', weight: 2.5, fillOpacity: 0.9 } },
+  { id: 'luz', label: 'Solo electricidad (sin agua)', checkbox: 'tgServSoloLuz',
+    symbol: { radius: 6, fill: '#f59e0b', stroke: '#0288d1', weight: 2.5, fillOpacity: 0.9 } },
+  { id: 'ninguno', label: 'Sin agua ni electricidad', checkbox: 'tgServNinguno',
+    icon: () => ICON_SIN_SERVICIOS }
+];
+
+function serviceStatusOf(rec) {
+  const sv = rec.sources.servicios;
+  if (!sv) return null;
+  const e = getProp(sv, SERV_E_KEYS);
+  const a = getProp(sv, SERV_A_KEYS);
+  const eY = isYes(e), aY = isYes(a);
+  if ((!eY && !isNo(e)) || (!aY && !isNo(a))) return 'si';
+  if (eY && aY) return 'ambos';
+  if (aY) return 'agua';
+  if (eY) return 'luz';
+  return 'ninguno';
+}
+
+
+// ---------- Simbología de burbujas (violencia / otras nacionalidades) ----------
+// Clasificación por Total_caso (como QGIS): 1-3, 4-8, 9-23.
+// v = casos de los tipos seleccionados (ver violenceValueOf); undefined = sin desglose.
+// Las clases (y sus radios / colores) vienen del catálogo de capas.
+const SYMBOL_SIN_DESGLOSE = { radius: 2.5, fill: '#9ca3af', stroke: '#6b7280', fillOpacity: 0.6 };
+
+function symbolViolenciaValue(v) {
+  // Institución sin desglose por tipo cuando solo algunos tipos están marcados
+  if (v === undefined) return SYMBOL_SIN_DESGLOSE;
+  return catalogSymbol('violencia', v);
+}
+
+// Clasificación por Total_estu (como QGIS): 1-50, 50-100, >100; dentro de cada clase el
+// radio escala con la raíz del valor ("radiusSqrt" en el catálogo), lectura tipo ArcGIS.
+// v = estudiantes de la nacionalidad elegida (ver nationalityValueOf); undefined = sin desglose.
+function symbolOtrasValue(v) {
+  if (v === undefined) return SYMBOL_SIN_DESGLOSE;
+  return catalogSymbol('otrasNacionalidades', v);
+}
+
+
+// ---------- Registro único de instituciones (clave AMIE) ----------
+// Las capas de puntos ya no se cargan por separado: todas las fuentes se unen por AMIE
+// en un solo registro en memoria. Cada institución tiene UN marcador y UN popup con
+// todos sus indicadores; los checkboxes funcionan como filtros sobre el registro.
+//
+// El orden importa: si un atributo viene en varias fuentes, gana la primera con dato.
+//
+// cantonesNbi: polígonos de cantones NBI que traen, por AMIE, el desglose de violencia y
+// de nacionalidades; se unen como atributos usando Longitud/Latitud de la institución.
+const REGISTRY_SOURCES = ['priorizacionZona', 'violencia', 'otrasNacionalidades', 'servicios', 'ieNoAtendidas', 'cantonesNbi'];
+
+const REGISTRY_SOURCE_LABELS = {
+  priorizacionZona: 'Zona de Atención Prioritaria',
+  violencia: 'Casos de violencia',
+  otrasNacionalidades: 'Otras nacionalidades',
+  servicios: 'Servicios básicos',
+  ieNoAtendidas: 'Fiscales sin atención',
+  cantonesNbi: 'Cantón NBI > 50%'
+};
+
+const schoolRegistry = {
+  byAmie: new Map(), // AMIE -> { amie, latlng, props, sources: { fuente: properties } }
+  errors: {},        // fuente -> Error (p.ej. archivo inexistente)
+  ready: null        // Promise de carga (se carga una sola vez)
+};
+
+function getAmie(p) {
+  const v = getProp(p, ['AMIE','CODAMIE','CODIGO_AMIE']);
+  return v !== null ? String(v).trim().toUpperCase() : null;
+}
+
+// Copia en "target" los atributos con dato que aún no tiene (no pisa valores existentes)
+function mergeSchoolProps(target, src) {
+  for (const [k, v] of Object.entries(src || {})) {
+    if (v === null || v === undefined || String(v).trim() === '') continue;
+    const cur = target[k];
+    if (cur === null || cur === undefined || String(cur).trim() === '') target[k] = v;
+  }
+}
+
+// Indicadores por institución del NBI (desglose de violencia y nacionalidades, con sus
+// subtotales): se leen de rec.sources.cantonesNbi y no pasan a las props comunes, porque
+// Total_Caso ahí es solo el subtotal de violencia sexual y taparía el total real.
+function isNbiIndicatorKey(k) {
+  return ['Total_Caso', 'Total_Otro', 'Total_Ca_1', ...TOTAL_ESTU_KEYS].includes(k)
+    || VIOLENCE_TYPES.some(t => t.id === k)
+    || NATIONALITIES.some(n => n.id === k);
+}
+
+function withoutNbiIndicators(p) {
+  const out = {};
+  for (const [k, v] of Object.entries(p || {})) if (!isNbiIndicatorKey(k)) out[k] = v;
+  return out;
+}
+
+// Coordenadas [lon, lat] del registro: geometría Point o, si no, Longitud/Latitud
+function registryPointOf(f) {
+  const g = f && f.geometry;
+  if (g && g.type === 'Point' && Array.isArray(g.coordinates)) return g.coordinates;
+  const p = (f && f.properties) || {};
+  const x = toNumber(getProp(p, ['Longitud', 'LONGITUD2', 'LONGITUD']));
+  const y = toNumber(getProp(p, ['Latitud', 'LATITUD2', 'LATITUD']));
+  return (x !== null && y !== null) ? [x, y] : null;
+}
+
+function addToSchoolRegistry(key, gj) {
+  const feats = (gj && gj.features) || [];
+  feats.forEach((f, i) => {
+    const pt = registryPointOf(f);
+    if (!pt) return;
+    const p = f.properties || {};
+    // Sin AMIE no hay unión posible: el registro queda solo (clave sintética)
+    const amie = getAmie(p) || `${key}#${i}`;
+
+    let rec = schoolRegistry.byAmie.get(amie);
+    if (!rec) {
+      rec = { amie, latlng: L.latLng(pt[1], pt[0]), props: {}, sources: {} };
+      schoolRegistry.byAmie.set(amie, rec);
+    }
+    // Filas repetidas del mismo AMIE en una fuente: se conserva la primera
+    if (!rec.sources[key]) rec.sources[key] = p;
+    mergeSchoolProps(rec.props, key === 'cantonesNbi' ? withoutNbiIndicators(p) : p);
+  });
+}
+
+async function ensureSchoolRegistry() {
+  if (schoolRegistry.ready) return schoolRegistry.ready;
+
+  schoolRegistry.ready = (async () => {
+    const results = await Promise.allSettled(REGISTRY_SOURCES.map((key) => {
+      // Cantones NBI: mismo loader que la capa (reproyección / fallback TopoJSON)
+      if (key === 'cantonesNbi') return loadCantonesNbiData();
+      return fetchLayerData(key);
+    }));
+
+    // Se integra en el orden de REGISTRY_SOURCES (no en el orden de llegada)
+    results.forEach((r, i) => {
+      const key = REGISTRY_SOURCES[i];
+      if (r.status === 'fulfilled') {
+        addToSchoolRegistry(key, r.value);
+      } else {
+        schoolRegistry.errors[key] = r.reason;
+        console.warn(`[Registro] No se pudo cargar ${key}:`, r.reason);
+      }
+    });
+    discoverPriorEstados();
+    return schoolRegistry;
+  })();
+
+  try {
+    return await schoolRegistry.ready;
+  } catch (e) {
+    schoolRegistry.ready = null;
+    throw e;
+  }
+}
+
+// Propiedades que se muestran en el popup (todas las fuentes unidas)
+function schoolPopupProps(rec) {
+  const prior = rec.sources.priorizacionZona;
+  const capas = Object.keys(rec.sources).map(k => REGISTRY_SOURCE_LABELS[k] || k);
+  return {
+    ...rec.props,
+    __ESTADO_PRIOR: prior ? normEstado(prior) : normEstado(rec.props),
+    __TOTAL_CASOS: rec.sources.violencia ? getProp(rec.sources.violencia, TOTAL_CASO_KEYS) : null,
+    __CAPAS: capas.join(', '),
+    __INDICE: rec.indice ? rec.indice.total.toFixed(1) : null,
+    __EXTRA_HTML: schoolPopupExtraHTML(rec)
+  };
+}
+
+// Bloques adicionales del popup (desglose de indicadores)
+function schoolPopupExtraHTML(rec) {
+  const parts = [];
+  const bd = violenceBreakdownOf(rec);
+  if (bd) parts.push(violenceBreakdownHTML(bd));
+  const nat = nationalityBreakdownOf(rec);
+  if (nat) parts.push(nationalityBreakdownHTML(nat));
+  if (rec.indice) parts.push(priorityIndexBreakdownHTML(rec.indice));
+  parts.push(`<div class="pc-actions"><button type="button" class="btn-small pc-prox" data-amie="${rec.amie}">Analizar proximidad</button></div>`);
+  return parts.join('');
+}
+
+function isChecked(id) {
+  const cb = document.getElementById(id);
+  return !!(cb && cb.checked);
+}
+
+// Filtros (checkboxes) sobre el registro. El orden define qué símbolo gana cuando una
+// institución cumple varios filtros activos a la vez (se dibuja un solo marcador).
+// cluster: familia de CLUSTER_FAMILIES con la que se agrupa en modo clústeres (por defecto "escuelas").
+const SCHOOL_FILTERS = [
+  {
+    // Índice compuesto: aplica a todo el registro (sin fuente propia). Va primero: mientras
+    // tgIndice está marcado, todas las instituciones se dibujan con sus clases graduadas
+    id: 'indice', checkbox: 'tgIndice', source: null,
+    prepare: () => ensurePriorityIndex(),
+    match: (rec) => !!rec.indice,
+    symbol: (p, rec) => symbolPriorityIndex(rec.indice)
+  },
+  {
+    id: 'prior', checkbox: 'tgPrior', source: 'priorizacionZona',
+    match: (rec) => isPriorEstadoVisible(priorEstadoKey(rec.sources.priorizacionZona)),
+    symbol: (p, rec) => priorEstadoSymbol(priorEstadoKey(rec.sources.priorizacionZona))
+  },
+  {
+    // Casos de violencia: fuente "violencia" o desglose por tipo (cantones NBI)
+    id: 'violencia', checkbox: 'tgViol', source: null, cluster: 'violencia',
+    match: (rec) => !!rec.sources.violencia || hasViolenceCases(rec),
+    symbol: (p, rec) => (violView.mode === 'heat' ? VIOL_HEAT_POINT : symbolViolenciaValue(violenceValueOf(rec))),
+    weight: 0.9
+  },
+  {
+    id: 'otras', checkbox: 'tgOtras', source: 'otrasNacionalidades', cluster: 'otras',
+    symbol: (p, rec) => symbolOtrasValue(nationalityValueOf(rec)),
+    // Modo "gráfico circular": icono SVG; sin desglose se cae a la burbuja
+    icon: (p, rec) => (otrasView.mode === 'pie' ? nationalityPieIcon(rec) : null),
+    weight: 0.9
+  },
+  {
+    id: 'ieNo', checkbox: 'tgIENo', source: 'ieNoAtendidas',
+    symbol: () => catalogSymbol('ieNoAtendidas')
+  },
+  // Estado combinado de servicios: antes que los cuatro filtros separados para que una
+  // institución sin agua ni electricidad se dibuje con UN solo símbolo
+  ...SERVICE_STATUS.map(st => ({
+    id: `sv_${st.id}`, label: st.label, checkbox: st.checkbox, source: 'servicios', pane: 'paneServices', cluster: 'servicios',
+    match: (rec) => serviceStatusOf(rec) === st.id,
+    icon: st.icon || undefined,
+    symbol: () => st.symbol
+  })),
+  {
+    id: 'e_no', label: 'Electricidad: No', checkbox: 'tgServENo', source: 'servicios', cluster: 'servicios', pane: 'paneServices',
+    match: (rec) => isNo(getProp(rec.sources.servicios, SERV_E_KEYS)),
+    icon: () => ICON_NO_LUZ
+  },
+  {
+    id: 'a_no', label: 'Agua: No', checkbox: 'tgServANo', source: 'servicios', cluster: 'servicios', pane: 'paneServices',
+    match: (rec) => isNo(getProp(rec.sources.servicios, SERV_A_KEYS)),
+    icon: () => ICON_NO_AGUA
+  },
+  {
+    id: 'e_si', label: 'Electricidad: Sí', checkbox: 'tgServEYes', source: 'servicios', cluster: 'servicios', pane: 'paneServices',
+    match: (rec) => isYes(getProp(rec.sources.servicios, SERV_E_KEYS)),
+    symbol: () => ({ radius: 6, fill: '#00c853', stroke: '#000' })
+  },
+  {
+    id: 'a_si', label: 'Agua: Sí', checkbox: 'tgServAYes', source: 'servicios', cluster: 'servicios', pane: 'paneServices',
+    match: (rec) => isYes(getProp(rec.sources.servicios, SERV_A_KEYS)),
+    symbol: () => ({ radius: 6, fill: '#0288d1', stroke: '#000' })
+  }
+];
+
+const schoolsLayer = L.layerGroup();
+const schoolMarkers = new Map(); // `${AMIE}|${filtro}` -> marcador (se reutiliza)
+
+function activeSchoolFilters() {
+  return SCHOOL_FILTERS.filter(f => isChecked(f.checkbox) && !(f.source && schoolRegistry.errors[f.source]));
+}
+
+function schoolFilterFor(rec, active) {
+  for (const f of active) {
+    if (f.source && !rec.sources[f.source]) continue;
+    if (f.match && !f.match(rec)) continue;
+    return f;
+  }
+  return null;
+}
+
+// Opciones de L.circleMarker a partir de un símbolo { radius, fill, stroke, weight, fillOpacity }
+// (las leyendas usan la misma función para dibujar burbujas del tamaño real)
+function pointSymbolStyle(s, weight) {
+  return {
+    radius: s.radius ?? 4,
+    fillColor: s.fill ?? '#ff7800',
+    color: s.stroke ?? '#000',
+    weight: (s.weight ?? weight) ?? 0.7,
+    opacity: 1,
+    fillOpacity: s.fillOpacity ?? 0.75
+  };
+}
+
+function buildSchoolMarker(rec, filter) {
+  const pane = filter.pane || 'panePuntos';
+  let m;
+  const icon = filter.icon && filter.icon(rec.props, rec);
+  if (icon) {
+    m = L.marker(rec.latlng, { icon, pane });
+  } else {
+    m = L.circleMarker(rec.latlng, { pane, ...pointSymbolStyle(filter.symbol(rec.props, rec) || {}, filter.weight) });
+  }
+  m.schoolRecord = rec;
+  m.bindPopup(() => popupCardHTML(schoolPopupProps(rec)), { maxWidth: 360 });
+  return m;
+}
+
+// Descarta marcadores en caché de un filtro (p.ej. cuando cambia su simbología)
+function invalidateSchoolMarkers(filterId) {
+  for (const k of [...schoolMarkers.keys()]) {
+    if (k.endsWith(`|${filterId}`)) schoolMarkers.delete(k);
+  }
+}
+
+function schoolMarkerFor(rec, filter) {
+  const k = `${rec.amie}|${filter.id}`;
+  let m = schoolMarkers.get(k);
+  if (!m) {
+    m = buildSchoolMarker(rec, filter);
+    schoolMarkers.set(k, m);
+  }
+  return m;
+}
+
+// Redibuja el registro según los filtros activos (un marcador por AMIE)
+function renderSchools() {
+  const active = activeSchoolFilters();
+  schoolsLayer.clearLayers();
+  Object.values(clusterGroups).forEach(g => g.clearLayers());
+  syncViolenceHeat();
+  scheduleDashboard();
+  refreshLegends();
+  if (active.length) drawSchoolMarkers(active);
+  // La selección por área sigue a los marcadores que quedaron dibujados
+  if (drawnItems.getLayers().length) renderDrawSelection();
+}
+
+function drawSchoolMarkers(active) {
+  const byFamily = {};
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (!passesAttrFilters(rec.props)) continue;
+    const f = schoolFilterFor(rec, active);
+    if (!f) continue;
+    const m = schoolMarkerFor(rec, f);
+    if (!clusterMode) {
+      schoolsLayer.addLayer(m);
+      continue;
+    }
+    const fam = f.cluster || 'escuelas';
+    (byFamily[fam] = byFamily[fam] || []).push(m);
+  }
+
+  // addLayers en bloque: mucho más rápido que uno a uno con miles de puntos
+  for (const [fam, markers] of Object.entries(byFamily)) {
+    const g = clusterGroupFor(fam);
+    g.addLayers(markers);
+    schoolsLayer.addLayer(g);
+  }
+}
+
+// Recorre los marcadores dibujados (también los que están dentro de un clúster)
+function eachSchoolMarker(fn) {
+  schoolsLayer.eachLayer((l) => {
+    if (L.MarkerClusterGroup && l instanceof L.MarkerClusterGroup) l.eachLayer(fn);
+    else fn(l);
+  });
+}
+
+
+// ---------- Clústeres de puntos (leaflet.markercluster) ----------
+// Modo opcional: los marcadores se agrupan por familia de capa y cada grupo muestra un
+// agregado propio (sin servicios, casos de violencia, estudiantes extranjeros o conteo).
+let clusterMode = false;
+const clusterGroups = {}; // familia -> L.markerClusterGroup
+
+const CLUSTER_FAMILIES = {
+  servicios: {
+    label: 'Servicios básicos',
+    unit: 'sin agua o electricidad',
+    value: recs => recs.filter((r) => {
+      const sv = r.sources.servicios;
+      return isNo(getProp(sv, SERV_E_KEYS)) || isNo(getProp(sv, SERV_A_KEYS));
+    }).length,
+    color: '#d50000'
+  },
+  violencia: {
+    label: 'Casos de violencia',
+    unit: 'casos',
+    value: recs => recs.reduce((a, r) => a + (violenceValueOf(r) || 0), 0),
+    color: '#0284c7'
+  },
+  otras: {
+    label: 'Estudiantes otras nacionalidades',
+    unit: 'estudiantes',
+    value: recs => recs.reduce((a, r) => a + (nationalityValueOf(r) || 0), 0),
+    color: '#b91c1c'
+  },
+  escuelas: {
+    label: 'Instituciones',
+    unit: 'instituciones',
+    value: recs => recs.length,
+    color: '#7c3aed'
+  }
+};
+
+function clusterRecords(cluster) {
+  return cluster.getAllChildMarkers().map(m => m.schoolRecord).filter(Boolean);
+}
+
+function fmtCompact(n) {
+  if (n >= 10000) return `${Math.round(n / 1000)}k`;
+  if (n >= 1000) return `${(n / 1000).toFixed(1).replace('.', ',')}k`;
+  return String(n);
+}
+
+function clusterIcon(fam, cluster) {
+  const def = CLUSTER_FAMILIES[fam];
+  const recs = clusterRecords(cluster);
+  const v = def.value(recs);
+  const size = recs.length < 10 ? 30 : recs.length < 100 ? 36 : recs.length < 1000 ? 42 : 48;
+  return L.divIcon({
+    className: 'cluster-badge',
+    html: `<div style="width:${size}px;height:${size}px;border-color:${def.color}" title="${fmtInt(v)} ${def.unit} · ${fmtInt(recs.length)} instituciones">
+      <b style="color:${def.color}">${fmtCompact(v)}</b><span>${fmtCompact(recs.length)}</span>
+    </div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+}
+
+function clusterPopupContent(fam, cluster) {
+  const def = CLUSTER_FAMILIES[fam];
+  const recs = clusterRecords(cluster);
+  const el = document.createElement('div');
+  el.className = 'popup-card';
+  el.innerHTML = `
+    <div class="pc-head">${def.label} (agrupación)</div>
+    <div class="pc-sub">${fmtInt(def.value(recs))} ${def.unit} · ${fmtInt(recs.length)} instituciones</div>
+    <div class="pc-body">
+      ${summaryHTML(summarizeSchools(recs))}
+      <button type="button" class="btn-small cluster-zoom">Acercar al grupo</button>
+    </div>`;
+  el.querySelector('.cluster-zoom').addEventListener('click', () => {
+    map.closePopup();
+    cluster.zoomToBounds({ padding: [30, 30] });
+  });
+  return el;
+}
+
+function clusterGroupFor(fam) {
+  if (clusterGroups[fam]) return clusterGroups[fam];
+  const g = L.markerClusterGroup({
+    clusterPane: 'panePuntos',
+    chunkedLoading: true,
+    showCoverageOnHover: false,
+    zoomToBoundsOnClick: false, // clic = desglose; el zoom va en el botón del popup
+    maxClusterRadius: 60,
+    iconCreateFunction: cluster => clusterIcon(fam, cluster)
+  });
+  g.on('clusterclick', (e) => {
+    L.popup({ maxWidth: 360 })
+      .setLatLng(e.layer.getLatLng())
+      .setContent(clusterPopupContent(fam, e.layer))
+      .openOn(map);
+  });
+  clusterGroups[fam] = g;
+  return g;
+}
+
+function initClusterMode() {
+  const cb = document.getElementById('tgCluster');
+  if (!cb) return;
+  if (!L.markerClusterGroup) {
+    cb.disabled = true;
+    return;
+  }
+  const apply = () => {
+    clusterMode = cb.checked;
+    if (schoolRegistry.ready) renderSchools();
+  };
+  cb.addEventListener('change', apply);
+  apply();
+}
+
+function initSchoolToggles() {
+  const ids = [...new Set(SCHOOL_FILTERS.map(f => f.checkbox))];
+
+  const onChange = async (cb) => {
+    setPriorSubtogglesVisible(isChecked('tgPrior'));
+    try {
+      setStatus('');
+      if (!activeSchoolFilters().length && !schoolRegistry.ready) return;
+      if (!schoolRegistry.ready) setStatus('Cargando capa...');
+      await ensureSchoolRegistry();
+      setStatus('');
+
+      // Si la fuente del checkbox no cargó (p.ej. archivo inexistente), se desmarca
+      const failed = SCHOOL_FILTERS.find(f => f.checkbox === cb.id && f.source && schoolRegistry.errors[f.source]);
+      if (cb.checked && failed) {
+        cb.checked = false;
+        setStatus(String(schoolRegistry.errors[failed.source].message || schoolRegistry.errors[failed.source]));
+      }
+
+      // Filtros que necesitan un cálculo previo (p.ej. índice compuesto)
+      for (const f of activeSchoolFilters()) {
+        if (f.prepare) await f.prepare();
+      }
+
+      if (!map.hasLayer(schoolsLayer)) schoolsLayer.addTo(map);
+      renderSchools();
+      updateLayerCounts();
+    } catch (e) {
+      console.error(e);
+      setStatus(String(e.message || e));
+      cb.checked = false;
+    }
+  };
+
+  for (const id of ids) {
+    const cb = document.getElementById(id);
+    if (!cb) {
+      console.warn(`No existe checkbox con id="${id}" (revisa index.html)`);
+      continue;
+    }
+    cb.addEventListener('change', () => onChange(cb));
+  }
+
+  layers.schools = schoolsLayer;
+
+  // Estado inicial (si algún checkbox ya viene marcado)
+  setPriorSubtogglesVisible(isChecked('tgPrior'));
+  const first = ids.map(id => document.getElementById(id)).find(cb => cb && cb.checked);
+  if (first) onChange(first);
+}
+
+
+// ---------- Búsqueda de instituciones (AMIE / nombre / cantón / parroquia) ----------
+const SEARCH_FIELDS = ['AMIE', 'NOM_INSTIT', 'DPA_DESCAN', 'DPA_DESPAR'];
+const SEARCH_MAX_RESULTS = 12;
+
+let searchHighlight = null;
+const searchRenderer = L.svg({ pane: 'paneHighlight' });
+
+// Minúsculas, sin tildes ni comillas: "Unidad Educativa “TUMBACO”" -> "unidad educativa tumbaco"
+function normText(v) {
+  return String(v ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[“”"'«»]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function searchKeyOf(p) {
+  return SEARCH_FIELDS.map(k => normText(getProp(p, [k]))).join(' | ');
+}
+
+// Candidatos: registro de instituciones + polígonos NBI (si ya se cargaron)
+function searchCandidates() {
+  const out = [];
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (!rec._search) rec._search = searchKeyOf(rec.props);
+    out.push({ kind: 'school', rec, props: rec.props, key: rec._search });
+  }
+  if (layers.cantonesNbiPoly) {
+    layers.cantonesNbiPoly.eachLayer((l) => {
+      const p = l.feature?.properties || {};
+      if (!l._search) l._search = searchKeyOf(p);
+      out.push({ kind: 'nbi', layer: l, props: p, key: l._search });
+    });
+  }
+  return out;
+}
+
+function searchSchools(query) {
+  const q = normText(query);
+  if (q.length < 2) return [];
+  const tokens = q.split(' ');
+
+  const hits = [];
+  for (const c of searchCandidates()) {
+    if (!tokens.every(t => c.key.includes(t))) continue;
+    const amie = normText(getProp(c.props, ['AMIE']));
+    const name = normText(getProp(c.props, ['NOM_INSTIT']));
+    // Orden: AMIE exacto > AMIE/nombre que empiezan por la consulta > resto
+    let score = 3;
+    if (amie === q) score = 0;
+    else if (amie.startsWith(q)) score = 1;
+    else if (name.startsWith(q) || name.includes(q)) score = 2;
+    hits.push({ ...c, score, name });
+  }
+  hits.sort((a, b) => a.score - b.score || a.name.localeCompare(b.name));
+  return hits.slice(0, SEARCH_MAX_RESULTS);
+}
+
+function clearSearchHighlight() {
+  if (searchHighlight) map.removeLayer(searchHighlight);
+  searchHighlight = null;
+}
+
+// Zoom + popup + resaltado, aunque la capa de la institución esté apagada.
+// opts.fly = false: no mueve el mapa (p.ej. al restaurar un permalink con su propia vista)
+function selectSearchResult(hit, opts = {}) {
+  clearSearchHighlight();
+  const fly = opts.fly !== false;
+
+  if (hit.kind === 'school') {
+    const rec = hit.rec;
+    searchHighlight = L.circleMarker(rec.latlng, {
+      renderer: searchRenderer,
+      pane: 'paneHighlight',
+      className: 'search-halo',
+      radius: 16,
+      color: '#facc15',
+      weight: 4,
+      fill: false,
+      interactive: false
+    }).addTo(map);
+    const open = () => {
+      L.popup({ maxWidth: 360, autoPan: fly, schoolAmie: rec.amie })
+        .setLatLng(rec.latlng)
+        .setContent(popupCardHTML(schoolPopupProps(rec)))
+        .openOn(map);
+    };
+    if (!fly) { open(); return; }
+    map.flyTo(rec.latlng, Math.max(map.getZoom(), 15));
+    map.once('moveend', open);
+    return;
+  }
+
+  const feat = hit.layer.feature;
+  searchHighlight = L.geoJSON(feat, {
+    renderer: searchRenderer,
+    pane: 'paneHighlight',
+    interactive: false,
+    style: { color: '#facc15', weight: 4, fill: false, className: 'search-halo' }
+  }).addTo(map);
+  const b = hit.layer.getBounds();
+  map.flyToBounds(b, { maxZoom: 12 });
+  map.once('moveend', () => {
+    L.popup({ maxWidth: 360 })
+      .setLatLng(b.getCenter())
+      .setContent(popupCardHTML(hit.props))
+      .openOn(map);
+  });
+}
+
+function initSearch() {
+  const input = document.getElementById('searchBox');
+  const list = document.getElementById('searchResults');
+  if (!input || !list) return;
+
+  let hits = [];
+  let active = -1;
+  let timer = null;
+
+  const close = () => {
+    list.classList.remove('open');
+    list.innerHTML = '';
+    active = -1;
+  };
+
+  const renderList = () => {
+    if (!hits.length) {
+      list.innerHTML = '<li class="sr-empty">Sin coincidencias</li>';
+      list.classList.add('open');
+      return;
+    }
+    list.innerHTML = hits.map((h, i) => {
+      const p = h.props;
+      const title = getProp(p, ['NOM_INSTIT']) || getProp(p, ['DPA_DESCAN']) || 'Registro';
+      const meta = [
+        getProp(p, ['AMIE']),
+        getProp(p, ['DPA_DESCAN']),
+        getProp(p, ['DPA_DESPAR']),
+        h.kind === 'nbi' ? 'Cantón NBI > 50%' : null
+      ].filter(Boolean).join(' · ');
+      return `<li role="option" data-i="${i}" class="${i === active ? 'active' : ''}">
+        <span class="sr-name">${title}</span><span class="sr-meta">${meta}</span></li>`;
+    }).join('');
+    list.classList.add('open');
+  };
+
+  const choose = (i) => {
+    const h = hits[i];
+    if (!h) return;
+    input.value = getProp(h.props, ['NOM_INSTIT']) || getProp(h.props, ['AMIE']) || input.value;
+    close();
+    selectSearchResult(h);
+  };
+
+  const run = async () => {
+    const q = input.value;
+    if (normText(q).length < 2) { close(); return; }
+    try {
+      if (!schoolRegistry.ready) setStatus('Cargando índice...');
+      await ensureSchoolRegistry();
+      setStatus('');
+    } catch (e) {
+      console.error(e);
+      setStatus(String(e.message || e));
+    }
+    if (q !== input.value) return; // llegó otra tecla mientras cargaba
+    hits = searchSchools(q);
+    active = hits.length ? 0 : -1;
+    renderList();
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, 150);
+  });
+
+  input.addEventListener('keydown', (ev) => {
+    if (!list.classList.contains('open')) return;
+    if (ev.key === 'ArrowDown' || ev.key === 'ArrowUp') {
+      ev.preventDefault();
+      if (!hits.length) return;
+      active = (active + (ev.key === 'ArrowDown' ? 1 : -1) + hits.length) % hits.length;
+      renderList();
+    } else if (ev.key === 'Enter') {
+      ev.preventDefault();
+      choose(active);
+    } else if (ev.key === 'Escape') {
+      close();
+    }
+  });
+
+  // mousedown (no click) para que el blur del input no cierre la lista antes
+  list.addEventListener('mousedown', (ev) => {
+    const li = ev.target.closest('li[data-i]');
+    if (!li) return;
+    ev.preventDefault();
+    choose(Number(li.dataset.i));
+  });
+
+  input.addEventListener('blur', () => setTimeout(close, 150));
+  input.addEventListener('search', () => { if (!input.value) { close(); clearSearchHighlight(); } });
+}
+
+
+// ---------- Filtros por atributo (zona, distrito, régimen, jurisdicción, oferta, lengua) ----------
+// Se combinan con AND. Un registro sin el atributo queda fuera cuando ese filtro está activo.
+// Aplican al registro de puntos y a los polígonos NBI, y alimentan los conteos de cada capa.
+const ATTR_FILTERS = [
+  { id: 'zona', label: 'Zona', keys: ['DA_ZONA'], format: v => `Zona ${v}` },
+  { id: 'distrito', label: 'Distrito', keys: ['DA_DIST', 'NOM_DISTRI'], nameKeys: ['NOM_DISTRI'] },
+  { id: 'regimen', label: 'Régimen', keys: ['REGIMEN'] },
+  { id: 'jurisdiccion', label: 'Jurisdicción', keys: ['JURISDICCI'] },
+  { id: 'oferta', label: 'Oferta', keys: ['OFERTA_1', 'OFERTA_2', 'OFERTA_3', 'OFERTA_4'], any: true },
+  { id: 'lengua', label: 'Lengua', keys: ['NOM_LENGUA'] },
+  { id: 'tipo', label: 'Tipo de establecimiento', keys: ['TE_fin'] },
+  { id: 'estado', label: 'Estado de la IE', keys: ['ESTADO_IE_'] },
+  { id: 'canton', label: 'Cantón', keys: ['DPA_DESCAN'] }
+];
+
+const attrFilterState = {}; // id -> valor elegido ('' = todos)
+
+// "8.0" / 8 / "8" => "8" (las fuentes no coinciden en el tipo)
+function attrKey(v) {
+  const n = typeof v === 'number' ? v : null;
+  if (n !== null && Number.isInteger(n)) return String(n);
+  return String(v).trim().toUpperCase();
+}
+
+function attrValuesOf(p, def) {
+  if (def.any) {
+    return def.keys.map(k => getProp(p, [k])).filter(v => v !== null).map(attrKey);
+  }
+  const v = getProp(p, def.keys);
+  return v === null ? [] : [attrKey(v)];
+}
+
+function hasAttrFilters() {
+  return ATTR_FILTERS.some(d => attrFilterState[d.id]);
+}
+
+function passesAttrFilters(p) {
+  for (const def of ATTR_FILTERS) {
+    const want = attrFilterState[def.id];
+    if (!want) continue;
+    if (!attrValuesOf(p, def).includes(want)) return false;
+  }
+  return true;
+}
+
+// Valores distintos (con etiqueta) a partir del registro y de los polígonos NBI
+function collectAttrOptions(def) {
+  const opts = new Map();
+  const add = (p) => {
+    for (const v of attrValuesOf(p, def)) {
+      if (opts.has(v)) continue;
+      let label = def.format ? def.format(v) : v;
+      if (def.nameKeys) {
+        const name = getProp(p, def.nameKeys);
+        if (name !== null && attrKey(name) !== v) label = `${v} – ${name}`;
+      }
+      opts.set(v, label);
+    }
+  };
+  for (const rec of schoolRegistry.byAmie.values()) add(rec.props);
+  for (const f of (cantonesNbiData?.features || [])) add(f.properties || {});
+  return [...opts.entries()].sort((a, b) => a[1].localeCompare(b[1], 'es', { numeric: true }));
+}
+
+function renderAttrFilterOptions() {
+  const box = document.getElementById('attrFilters');
+  if (!box) return;
+  box.innerHTML = ATTR_FILTERS.map((def) => {
+    const cur = attrFilterState[def.id] || '';
+    const options = collectAttrOptions(def)
+      .map(([v, label]) => `<option value="${v}"${v === cur ? ' selected' : ''}>${label}</option>`)
+      .join('');
+    return `<div class="attr-filter">
+      <label for="af_${def.id}">${def.label}</label>
+      <select id="af_${def.id}" data-filter="${def.id}">
+        <option value="">Todos</option>${options}
+      </select>
+    </div>`;
+  }).join('');
+}
+
+// Fija un filtro desde fuera del panel (p.ej. clic en el dashboard) y sincroniza su select
+function setAttrFilter(id, value) {
+  attrFilterState[id] = value || '';
+  const sel = document.querySelector(`#attrFilters select[data-filter="${id}"]`);
+  if (sel) sel.value = attrFilterState[id];
+  applyAttrFilters();
+}
+
+// Reconstruye todas las capas afectadas por los filtros
+function applyAttrFilters() {
+  if (schoolRegistry.ready) renderSchools();
+  rebuildCantonesNbi();
+  updateLayerCounts();
+  scheduleDashboard();
+  refreshServiceCrossTab();
+  if (timeDiff) renderTimeDiff();
+
+  const btn = document.getElementById('attrFiltersClear');
+  if (btn) btn.disabled = !hasAttrFilters();
+}
+
+async function initAttrFilters() {
+  const panel = document.getElementById('attrFilterPanel');
+  const box = document.getElementById('attrFilters');
+  const btnClear = document.getElementById('attrFiltersClear');
+  if (!panel || !box) return;
+
+  let populated = false;
+  const populate = async () => {
+    if (populated) return;
+    try {
+      setStatus('Cargando filtros...');
+      await ensureSchoolRegistry();
+      setStatus('');
+      renderAttrFilterOptions();
+      populated = true;
+    } catch (e) {
+      console.error(e);
+      setStatus(String(e.message || e));
+    }
+  };
+
+  // Las opciones se arman al abrir el panel (evita cargar todo el registro al inicio)
+  panel.addEventListener('toggle', () => { if (panel.open) populate(); });
+
+  box.addEventListener('change', (ev) => {
+    const sel = ev.target.closest('select[data-filter]');
+    if (!sel) return;
+    attrFilterState[sel.dataset.filter] = sel.value;
+    applyAttrFilters();
+  });
+
+  if (btnClear) {
+    btnClear.disabled = !hasAttrFilters();
+    btnClear.addEventListener('click', () => {
+      ATTR_FILTERS.forEach(d => { attrFilterState[d.id] = ''; });
+      box.querySelectorAll('select[data-filter]').forEach(sel => { sel.value = ''; });
+      applyAttrFilters();
+    });
+  }
+}
+
+
+// ---------- Conteos por capa (junto a cada checkbox) ----------
+function countSchoolsFor(filter) {
+  if (filter.source && schoolRegistry.errors[filter.source]) return null;
+  let n = 0;
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (filter.source && !rec.sources[filter.source]) continue;
+    if (filter.match && !filter.match(rec)) continue;
+    if (!passesAttrFilters(rec.props)) continue;
+    n++;
+  }
+  return n;
+}
+
+function setLayerCount(checkboxId, n) {
+  const label = document.querySelector(`label[for="${checkboxId}"]`);
+  if (!label) return;
+  let badge = label.querySelector('.layer-count');
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'layer-count';
+    label.appendChild(badge);
+  }
+  badge.textContent = (n === null || n === undefined) ? '' : n.toLocaleString('es-EC');
+  badge.style.display = badge.textContent ? '' : 'none';
+}
+
+function updateLayerCounts() {
+  if (schoolRegistry.ready && schoolRegistry.byAmie.size) {
+    for (const f of SCHOOL_FILTERS) {
+      // tgPrior cuenta solo los Estados que están marcados
+      setLayerCount(f.checkbox, countSchoolsFor(f));
+    }
+    updatePriorEstadoCounts();
+    updateOtrasCoverage();
+  }
+  if (layers.cantonesNbiPoly) {
+    setLayerCount('tgNbi', layers.cantonesNbiPoly.getLayers().length);
+  }
+}
+
+
+// ---------- Violencia por tipo (sub-toggles + desglose en popup) ----------
+// El desglose viene en el dataset de cantones NBI (nombres de campo truncados del shapefile).
+// Total_Caso (violencia sexual) y Total_Otro (otras violencias) son subtotales de estos tipos.
+const VIOLENCE_TYPES = [
+  { id: 'Abuso_Sexu', label: 'Abuso sexual', group: 'Violencia sexual' },
+  { id: 'Acoso_Sexu', label: 'Acoso sexual', group: 'Violencia sexual' },
+  { id: 'Pornografu', label: 'Pornografía', group: 'Violencia sexual' },
+  { id: 'Violación', label: 'Violación', group: 'Violencia sexual' },
+  // El dataset no define qué tipo es cada uno (solo que suman Total_Otro): se rotulan con el campo
+  { id: 'Violencia', label: 'Otra violencia (Violencia)', group: 'Otras violencias (Total_Otro)' },
+  { id: 'Violenci_1', label: 'Otra violencia (Violenci_1)', group: 'Otras violencias (Total_Otro)' },
+  { id: 'Violenci_2', label: 'Otra violencia (Violenci_2)', group: 'Otras violencias (Total_Otro)' }
+];
+
+const VIOLENCE_TYPE_COLOR = '#0284c7';
+
+function violenceTypeCheckboxId(t) {
+  return `tgViolT_${t.id.normalize('NFD').replace(/[\u0300-\u036f]/g, '')}`;
+}
+
+function selectedViolenceTypes() {
+  return VIOLENCE_TYPES.filter(t => {
+    const cb = document.getElementById(violenceTypeCheckboxId(t));
+    return !cb || cb.checked;
+  });
+}
+
+// { tipo: casos } o null si la institución no trae desglose
+function violenceBreakdownOf(rec) {
+  const p = rec.sources.cantonesNbi;
+  if (!p) return null;
+  const out = {};
+  let any = false;
+  for (const t of VIOLENCE_TYPES) {
+    const v = toNumber(p[t.id]);
+    if (v !== null) any = true;
+    out[t.id] = v || 0;
+  }
+  return any ? out : null;
+}
+
+function hasViolenceCases(rec) {
+  const bd = violenceBreakdownOf(rec);
+  return !!bd && VIOLENCE_TYPES.some(t => bd[t.id] > 0);
+}
+
+// Casos de los tipos marcados. Con todos los tipos marcados manda el Total Caso de la capa
+// de violencia (el desglose NBI cubre menos instituciones y no siempre cuadra con él); el
+// desglose solo se usa al desmarcar tipos. Sin dato aplicable: undefined.
+function violenceValueOf(rec) {
+  const sel = selectedViolenceTypes();
+  const bd = violenceBreakdownOf(rec);
+  if (sel.length === VIOLENCE_TYPES.length) {
+    const total = rec.sources.violencia ? toNumber(getProp(rec.sources.violencia, TOTAL_CASO_KEYS)) : null;
+    if (total !== null) return total;
+  }
+  if (bd) return sel.reduce((a, t) => a + bd[t.id], 0);
+  return undefined;
+}
+
+function violenceBreakdownHTML(bd) {
+  const sel = new Set(selectedViolenceTypes().map(t => t.id));
+  const max = Math.max(1, ...VIOLENCE_TYPES.map(t => bd[t.id]));
+  const total = VIOLENCE_TYPES.reduce((a, t) => a + bd[t.id], 0);
+  const rows = VIOLENCE_TYPES.map(t => `
+    <div class="vb-row${sel.has(t.id) ? '' : ' off'}">
+      <span class="vb-k">${t.label}</span>
+      <span class="vb-bar"><span style="width:${Math.round((bd[t.id] / max) * 100)}%;background:${VIOLENCE_TYPE_COLOR}"></span></span>
+      <span class="vb-v">${fmtInt(bd[t.id])}</span>
+    </div>`).join('');
+  return `
+    <div class="pc-sep"></div>
+    <div class="vb-box">
+      <div class="vb-title">Casos de violencia por tipo (total ${fmtInt(total)})</div>
+      ${rows}
+    </div>`;
+}
+
+// Se arma antes de restaurar el permalink (los checkboxes deben existir)
+function buildViolenceSubtoggles() {
+  const box = document.getElementById('violSubtoggles');
+  if (!box) return;
+  let group = null;
+  box.innerHTML = VIOLENCE_TYPES.map((t) => {
+    const head = t.group !== group ? `<div class="services-title">${t.group}</div>` : '';
+    group = t.group;
+    const id = violenceTypeCheckboxId(t);
+    return `${head}<div class="toggle-row">
+      <input type="checkbox" id="${id}" data-viol-type="${t.id}" checked>
+      <label for="${id}">${t.label}</label>
+    </div>`;
+  }).join('') + '<div class="attr-filter-note">El tamaño de la burbuja suma solo los tipos marcados. En gris: sin desglose por tipo.</div>';
+}
+
+function initViolenceTypes() {
+  const box = document.getElementById('violSubtoggles');
+  const cbMain = document.getElementById('tgViol');
+  if (!box || !cbMain) return;
+
+  const sync = () => { box.style.display = cbMain.checked ? 'block' : 'none'; };
+  cbMain.addEventListener('change', sync);
+  sync();
+
+  box.addEventListener('change', (ev) => {
+    if (!ev.target.matches('input[data-viol-type]')) return;
+    invalidateSchoolMarkers('violencia');
+    if (schoolRegistry.ready) renderSchools();
+  });
+}
+
+
+// ---------- Violencia: densidad kernel (heatmap) ----------
+// KDE en el navegador (kernel cuártico) ponderado por los casos de los tipos marcados
+// (Total Caso con todos los tipos). Se dibuja en un canvas propio en paneHeat.
+const violView = { mode: 'bubbles', radiusKm: 25 };
+const VIOL_HEAT_RADIUS = { min: 5, max: 100, step: 5 };
+
+// En modo densidad las instituciones quedan como puntos pequeños (siguen siendo clicables)
+const VIOL_HEAT_POINT = { radius: 2.5, fill: '#1f2937', stroke: '#ffffff', weight: 0.6, fillOpacity: 0.8 };
+
+// Rampa de la superficie: [t, r, g, b] (t = densidad relativa 0..1)
+const HEAT_RAMP = [
+  [0.0, 255, 255, 178],
+  [0.25, 254, 204, 92],
+  [0.5, 253, 141, 60],
+  [0.75, 240, 59, 32],
+  [1.0, 189, 0, 38]
+];
+
+function heatColor(t) {
+  for (let i = 1; i < HEAT_RAMP.length; i++) {
+    const [t1, r1, g1, b1] = HEAT_RAMP[i];
+    if (t > t1) continue;
+    const [t0, r0, g0, b0] = HEAT_RAMP[i - 1];
+    const k = (t - t0) / (t1 - t0);
+    return [r0 + (r1 - r0) * k, g0 + (g1 - g0) * k, b0 + (b1 - b0) * k];
+  }
+  return HEAT_RAMP[HEAT_RAMP.length - 1].slice(1);
+}
+
+// Capa canvas: recalcula la superficie en cada moveend (solo para la vista actual)
+const KdeLayer = L.Layer.extend({
+  options: { pane: 'paneHeat', radiusKm: 25, opacity: 0.75 },
+
+  initialize(points, options) {
+    L.setOptions(this, options);
+    this._points = points || []; // [{ latlng, weight }]
+  },
+
+  setPoints(points) {
+    this._points = points || [];
+    return this.redraw();
+  },
+
+  setRadius(km) {
+    this.options.radiusKm = km;
+    return this.redraw();
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create('canvas', 'kde-canvas leaflet-zoom-hide');
+    this.getPane().appendChild(this._canvas);
+    map.on('moveend resize', this.redraw, this);
+    this.redraw();
+  },
+
+  onRemove(map) {
+    map.off('moveend resize', this.redraw, this);
+    L.DomUtil.remove(this._canvas);
+    this._canvas = null;
+  },
+
+  redraw() {
+    if (!this._map || !this._canvas) return this;
+    const map = this._map;
+    const size = map.getSize();
+    const canvas = this._canvas;
+    canvas.width = size.x;
+    canvas.height = size.y;
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, size.x, size.y);
+
+    // Radio en píxeles; la celda crece con el radio para acotar el costo (~40 celdas por radio)
+    const rPx = (this.options.radiusKm * 1000) / mapMetersPerPixel();
+    const cell = Math.max(3, Math.ceil(rPx / 40));
+    const cols = Math.ceil(size.x / cell);
+    const rows = Math.ceil(size.y / cell);
+    const grid = new Float32Array(cols * rows);
+    const rc = rPx / cell;
+    const rc2 = rc * rc;
+
+    let max = 0;
+    for (const pt of this._points) {
+      if (!(pt.weight > 0)) continue;
+      const p = map.latLngToContainerPoint(pt.latlng);
+      if (p.x < -rPx || p.y < -rPx || p.x > size.x + rPx || p.y > size.y + rPx) continue;
+      const cx = p.x / cell;
+      const cy = p.y / cell;
+      const c0 = Math.max(0, Math.floor(cx - rc));
+      const c1 = Math.min(cols - 1, Math.ceil(cx + rc));
+      const r0 = Math.max(0, Math.floor(cy - rc));
+      const r1 = Math.min(rows - 1, Math.ceil(cy + rc));
+      for (let r = r0; r <= r1; r++) {
+        const dy = r + 0.5 - cy;
+        for (let c = c0; c <= c1; c++) {
+          const dx = c + 0.5 - cx;
+          const d2 = (dx * dx + dy * dy) / rc2;
+          if (d2 >= 1) continue;
+          const k = 1 - d2;
+          const v = (grid[r * cols + c] += pt.weight * k * k);
+          if (v > max) max = v;
+        }
+      }
+    }
+    this._max = max;
+    if (!max) return this;
+
+    // Grilla -> imagen pequeña -> escalada con suavizado al tamaño del mapa
+    const img = ctx.createImageData(cols, rows);
+    for (let i = 0; i < grid.length; i++) {
+      const t = grid[i] / max;
+      if (t < 0.02) continue;
+      const [r, g, b] = heatColor(t);
+      img.data[i * 4] = r;
+      img.data[i * 4 + 1] = g;
+      img.data[i * 4 + 2] = b;
+      img.data[i * 4 + 3] = Math.round(255 * this.options.opacity * Math.min(1, 0.25 + t));
+    }
+    const off = document.createElement('canvas');
+    off.width = cols;
+    off.height = rows;
+    off.getContext('2d').putImageData(img, 0, 0);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(off, 0, 0, cols * cell, rows * cell);
+    return this;
+  }
+});
+
+let violHeatLayer = null;
+
+// Instituciones con casos (mismo criterio que el filtro de violencia + filtros por atributo)
+function violenceHeatPoints() {
+  const f = SCHOOL_FILTERS.find(x => x.id === 'violencia');
+  const out = [];
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (!f.match(rec) || !passesAttrFilters(rec.props)) continue;
+    const w = violenceValueOf(rec);
+    if (w > 0) out.push({ latlng: rec.latlng, weight: w });
+  }
+  return out;
+}
+
+// Se llama tras cada renderSchools: agrega / quita / actualiza la superficie
+function syncViolenceHeat() {
+  const on = violView.mode === 'heat' && isChecked('tgViol') && !!schoolRegistry.ready;
+  if (!on) {
+    if (violHeatLayer && map.hasLayer(violHeatLayer)) map.removeLayer(violHeatLayer);
+    return;
+  }
+  if (!violHeatLayer) violHeatLayer = new KdeLayer([], { radiusKm: violView.radiusKm });
+  violHeatLayer.options.radiusKm = violView.radiusKm;
+  violHeatLayer._points = violenceHeatPoints();
+  if (map.hasLayer(violHeatLayer)) violHeatLayer.redraw();
+  else violHeatLayer.addTo(map);
+}
+
+// Se arma antes de restaurar el permalink (los controles deben existir)
+function buildViolenceHeatOptions() {
+  const box = document.getElementById('violOptions');
+  if (!box) return;
+  box.innerHTML = `
+    <div class="attr-filter">
+      <label for="violMode">Simbología</label>
+      <select id="violMode">
+        <option value="bubbles">Burbujas</option>
+        <option value="heat">Densidad (heatmap)</option>
+      </select>
+    </div>
+    <div class="attr-filter" id="violRadiusRow">
+      <label for="violRadius">Radio de influencia: <b id="violRadiusVal"></b></label>
+      <input type="range" id="violRadius" min="${VIOL_HEAT_RADIUS.min}" max="${VIOL_HEAT_RADIUS.max}" step="${VIOL_HEAT_RADIUS.step}">
+    </div>`;
+}
+
+function syncViolenceHeatOptions() {
+  const mode = document.getElementById('violMode');
+  const rad = document.getElementById('violRadius');
+  const val = document.getElementById('violRadiusVal');
+  if (mode) mode.value = violView.mode;
+  if (rad) rad.value = violView.radiusKm;
+  if (val) val.textContent = `${violView.radiusKm} km`;
+
+  const on = isChecked('tgViol');
+  const heat = violView.mode === 'heat';
+  const show = (id, v) => { const el = document.getElementById(id); if (el) el.style.display = v ? 'block' : 'none'; };
+  show('violOptions', on);
+  show('violRadiusRow', heat);
+  refreshLegends();
+}
+
+function setViolenceView(mode, radiusKm) {
+  const modeChanged = (mode === 'heat' ? 'heat' : 'bubbles') !== violView.mode;
+  violView.mode = mode === 'heat' ? 'heat' : 'bubbles';
+  const r = Number(radiusKm);
+  violView.radiusKm = Number.isFinite(r)
+    ? Math.min(VIOL_HEAT_RADIUS.max, Math.max(VIOL_HEAT_RADIUS.min, r))
+    : violView.radiusKm;
+  syncViolenceHeatOptions();
+  if (modeChanged) {
+    invalidateSchoolMarkers('violencia');
+    if (schoolRegistry.ready) renderSchools();
+  } else {
+    syncViolenceHeat();
+  }
+}
+
+function initViolenceHeat() {
+  const box = document.getElementById('violOptions');
+  if (!box) return;
+  box.addEventListener('change', () => {
+    setViolenceView(document.getElementById('violMode').value, document.getElementById('violRadius').value);
+  });
+  // Valor del radio en vivo mientras se arrastra (el cálculo se hace al soltar)
+  box.addEventListener('input', (ev) => {
+    if (ev.target.id !== 'violRadius') return;
+    const val = document.getElementById('violRadiusVal');
+    if (val) val.textContent = `${ev.target.value} km`;
+  });
+  const cb = document.getElementById('tgViol');
+  if (cb) cb.addEventListener('change', syncViolenceHeatOptions);
+  syncViolenceHeatOptions();
+}
+
+
+// ---------- Otras nacionalidades (gráfico circular + selector de nacionalidad) ----------
+// Matrícula por nacionalidad del dataset de cantones NBI. Total_estu = estudiantes extranjeros.
+const NATIONALITIES = [
+  { id: 'Ecuatorian', label: 'Ecuatoriana', color: '#cbd5e1', foreign: false },
+  { id: 'Colombiana', label: 'Colombiana', color: '#facc15', foreign: true },
+  { id: 'Venezolana', label: 'Venezolana', color: '#dc2626', foreign: true },
+  { id: 'Peruana', label: 'Peruana', color: '#2563eb', foreign: true },
+  { id: 'Otros_Pais', label: 'Otros países', color: '#16a34a', foreign: true },
+  { id: 'Otros_Cont', label: 'Otros continentes', color: '#9333ea', foreign: true }
+];
+
+// mode: 'bubbles' | 'pie'; nationality: 'total' (todos los extranjeros) o id de NATIONALITIES
+const otrasView = { mode: 'bubbles', nationality: 'total' };
+
+// { nacionalidad: estudiantes } o null si la institución no trae desglose
+function nationalityBreakdownOf(rec) {
+  const p = rec.sources.cantonesNbi;
+  if (!p) return null;
+  const out = {};
+  let any = false;
+  for (const n of NATIONALITIES) {
+    const v = toNumber(p[n.id]);
+    if (v !== null) any = true;
+    out[n.id] = v || 0;
+  }
+  return any ? out : null;
+}
+
+function foreignTotalOf(bd) {
+  return NATIONALITIES.filter(n => n.foreign).reduce((a, n) => a + bd[n.id], 0);
+}
+
+// Valor para la burbuja según la nacionalidad elegida (undefined = sin desglose)
+function nationalityValueOf(rec) {
+  if (otrasView.nationality === 'total') {
+    return toNumber(getProp(rec.sources.otrasNacionalidades || rec.props, TOTAL_ESTU_KEYS));
+  }
+  const bd = nationalityBreakdownOf(rec);
+  return bd ? bd[otrasView.nationality] : undefined;
+}
+
+// Sectores SVG de extranjeros por nacionalidad; el tamaño sigue a Total_estu
+function nationalityPieIcon(rec) {
+  const bd = nationalityBreakdownOf(rec);
+  if (!bd) return null;
+  const total = foreignTotalOf(bd);
+  if (total <= 0) return null;
+
+  const size = Math.round(Math.min(44, 12 + Math.sqrt(total) * 2.2));
+  const r = size / 2 - 1;
+  const c = size / 2;
+  let a0 = -Math.PI / 2;
+  const slices = NATIONALITIES.filter(n => n.foreign && bd[n.id] > 0).map((n) => {
+    const frac = bd[n.id] / total;
+    if (frac >= 1) return `<circle cx="${c}" cy="${c}" r="${r}" fill="${n.color}"/>`;
+    const a1 = a0 + frac * Math.PI * 2;
+    const large = frac > 0.5 ? 1 : 0;
+    const d = `M${c},${c} L${(c + r * Math.cos(a0)).toFixed(2)},${(c + r * Math.sin(a0)).toFixed(2)} ` +
+      `A${r},${r} 0 ${large} 1 ${(c + r * Math.cos(a1)).toFixed(2)},${(c + r * Math.sin(a1)).toFixed(2)} Z`;
+    a0 = a1;
+    return `<path d="${d}" fill="${n.color}"/>`;
+  }).join('');
+
+  return makeSvgDivIcon(`
+<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" aria-hidden="true">
+  ${slices}
+  <circle cx="${c}" cy="${c}" r="${r}" fill="none" stroke="#111" stroke-width="1"/>
+</svg>`, size);
+}
+
+function fmtPct(v) {
+  return `${(v * 100).toLocaleString('es-EC', { maximumFractionDigits: 1 })}%`;
+}
+
+function nationalityBreakdownHTML(bd) {
+  const foreign = foreignTotalOf(bd);
+  const ecu = bd.Ecuatorian;
+  const all = foreign + ecu;
+  const rows = NATIONALITIES.map(n => `
+    <div class="nb-row">
+      <span class="nb-sw" style="background:${n.color}"></span>
+      <span class="nb-k">${n.label}</span>
+      <span class="nb-v">${fmtInt(bd[n.id])}</span>
+      <span class="nb-p">${all ? fmtPct(bd[n.id] / all) : '—'}</span>
+    </div>`).join('');
+  const ratio = ecu ? `${fmtPct(foreign / ecu)} de la matrícula ecuatoriana` : 'sin matrícula ecuatoriana';
+  return `
+    <div class="pc-sep"></div>
+    <div class="nb-box">
+      <div class="nb-title">Estudiantes por nacionalidad</div>
+      ${rows}
+      <div class="nb-foot">Extranjeros: <b>${fmtInt(foreign)}</b> (${all ? fmtPct(foreign / all) : '—'} del total; ${ratio})</div>
+    </div>`;
+}
+
+// Se arma antes de restaurar el permalink (los selects deben existir)
+function buildOtrasOptions() {
+  const box = document.getElementById('otrasOptions');
+  if (!box) return;
+  box.innerHTML = `
+    <div class="attr-filter">
+      <label for="otrasMode">Simbología</label>
+      <select id="otrasMode">
+        <option value="bubbles">Burbujas</option>
+        <option value="pie">Gráfico circular por nacionalidad</option>
+      </select>
+    </div>
+    <div class="attr-filter" id="otrasNationalityRow">
+      <label for="otrasNationality">Tamaño según</label>
+      <select id="otrasNationality">
+        <option value="total">Total extranjeros (Total_estu)</option>
+        ${NATIONALITIES.map(n => `<option value="${n.id}">${n.label}</option>`).join('')}
+      </select>
+    </div>
+    <div class="attr-filter-note" id="otrasCoverage" style="display:none;"></div>`;
+}
+
+// El desglose por nacionalidad solo existe en el archivo de cantones NBI: se avisa cuántas
+// instituciones lo tienen cuando la simbología depende de él (el resto queda como burbuja / sin dato)
+function updateOtrasCoverage() {
+  const box = document.getElementById('otrasCoverage');
+  if (!box) return;
+  const needs = otrasView.mode === 'pie' || otrasView.nationality !== 'total';
+  if (!needs || !schoolRegistry.ready || !schoolRegistry.byAmie.size) {
+    box.style.display = 'none';
+    return;
+  }
+  let total = 0;
+  let withBd = 0;
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (!rec.sources.otrasNacionalidades) continue;
+    total++;
+    if (nationalityBreakdownOf(rec)) withBd++;
+  }
+  box.textContent = `Desglose por nacionalidad disponible para ${fmtInt(withBd)} de ${fmtInt(total)} instituciones `
+    + `(solo cantones con NBI > 50%); las demás se dibujan ${otrasView.mode === 'pie' ? 'como burbuja del total' : 'sin dato'}.`;
+  box.style.display = 'block';
+}
+
+function syncOtrasOptions() {
+  const mode = document.getElementById('otrasMode');
+  const nat = document.getElementById('otrasNationality');
+  if (mode) mode.value = otrasView.mode;
+  if (nat) nat.value = otrasView.nationality;
+
+  const on = isChecked('tgOtras');
+  const pie = otrasView.mode === 'pie';
+  const show = (id, v) => { const el = document.getElementById(id); if (el) el.style.display = v ? 'block' : 'none'; };
+  show('otrasOptions', on);
+  show('otrasNationalityRow', !pie);
+  updateOtrasCoverage();
+  refreshLegends();
+}
+
+function setOtrasView(mode, nationality) {
+  otrasView.mode = mode === 'pie' ? 'pie' : 'bubbles';
+  otrasView.nationality = NATIONALITIES.some(n => n.id === nationality) ? nationality : 'total';
+  syncOtrasOptions();
+  invalidateSchoolMarkers('otras');
+  if (schoolRegistry.ready) renderSchools();
+}
+
+function initOtrasOptions() {
+  const box = document.getElementById('otrasOptions');
+  if (!box) return;
+  box.addEventListener('change', () => {
+    setOtrasView(document.getElementById('otrasMode').value, document.getElementById('otrasNationality').value);
+  });
+  const cb = document.getElementById('tgOtras');
+  if (cb) cb.addEventListener('change', syncOtrasOptions);
+  syncOtrasOptions();
+}
+
+
+// ---------- Índice compuesto de prioridad (por AMIE y por cantón) ----------
+// Cada indicador se normaliza a 0..1 y se combina con pesos (config.js -> PRIORITY_INDEX,
+// editables desde la barra lateral). Resultado: 0 (sin prioridad) a 100 (máxima prioridad).
+//   nbi       -> F__NBI_Can del cantón NBI > 50% donde cae la institución (0 si no está en uno)
+//   violencia -> Total Caso / máximo nacional
+//   servicios -> (sin electricidad + sin agua) / 2
+//   estado    -> puntaje de ESTADO_IE_ (MALO 1 ... BUENO 0)
+const PRIORITY_INDICATORS = [
+  { id: 'nbi', label: 'NBI cantonal' },
+  { id: 'violencia', label: 'Casos de violencia' },
+  { id: 'servicios', label: 'Servicios básicos' },
+  { id: 'estado', label: 'Estado de infraestructura' }
+];
+
+const PRIORITY_CLASSES = [
+  { max: 20, color: '#fef3c7', radius: 3 },
+  { max: 40, color: '#fcd34d', radius: 4 },
+  { max: 60, color: '#f59e0b', radius: 5 },
+  { max: 80, color: '#dc2626', radius: 6.5 },
+  { max: 100, color: '#7f1d1d', radius: 8 }
+];
+
+// Pesos y puntajes de config.js (única fuente); un indicador sin peso cuenta 0
+const priorityIndexConfig = {
+  weights: Object.fromEntries(PRIORITY_INDICATORS.map(i => [i.id, Number(window.PRIORITY_INDEX?.weights?.[i.id]) || 0])),
+  estadoScores: { ...(window.PRIORITY_INDEX?.estadoScores || {}) }
+};
+
+let priorityIndexReady = false;
+let priorityByCanton = []; // [{ canton, provincia, n, mean, feature }] ordenado desc.
+const priorityMeanByFeature = new Map(); // feature de cantón NBI -> índice promedio (coropleta "Índice")
+
+// Cantón NBI (feature) que contiene la institución; se calcula una sola vez
+function nbiCantonOf(rec) {
+  if (rec._nbiCanton !== undefined) return rec._nbiCanton;
+  rec._nbiCanton = null;
+  const x = rec.latlng.lng, y = rec.latlng.lat;
+  for (const f of (cantonesNbiData?.features || [])) {
+    if (!f._bbox) f._bbox = geometryBBox(f.geometry);
+    const b = f._bbox;
+    if (x < b[0] || x > b[2] || y < b[1] || y > b[3]) continue;
+    if (pointInGeometry(x, y, f.geometry)) { rec._nbiCanton = f; break; }
+  }
+  return rec._nbiCanton;
+}
+
+function priorityComponents(rec, ctx) {
+  const cfg = priorityIndexConfig;
+  const comps = {};
+
+  const canton = nbiCantonOf(rec);
+  const nbi = canton ? toNumber(getProp(canton.properties, ['F__NBI_Can'])) : null;
+  comps.nbi = (nbi !== null && ctx.nbiMax > ctx.nbiMin)
+    ? (nbi - ctx.nbiMin) / (ctx.nbiMax - ctx.nbiMin)
+    : (nbi !== null ? 1 : 0);
+
+  const casos = rec.sources.violencia ? (toNumber(getProp(rec.sources.violencia, TOTAL_CASO_KEYS)) || 0) : 0;
+  comps.violencia = ctx.casosMax > 0 ? casos / ctx.casosMax : 0;
+
+  const serv = rec.sources.servicios;
+  comps.servicios = serv
+    ? ((isNo(getProp(serv, SERV_E_KEYS)) ? 1 : 0) + (isNo(getProp(serv, SERV_A_KEYS)) ? 1 : 0)) / 2
+    : 0;
+
+  const estado = normEstado(rec.sources.priorizacionZona || rec.sources.servicios || rec.props);
+  comps.estado = cfg.estadoScores[estado] ?? 0;
+
+  return comps;
+}
+
+function computePriorityIndex() {
+  const cfg = priorityIndexConfig;
+  const nbiVals = (cantonesNbiData?.features || [])
+    .map(f => toNumber(getProp(f.properties, ['F__NBI_Can'])))
+    .filter(v => v !== null);
+  let casosMax = 0;
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (!rec.sources.violencia) continue;
+    casosMax = Math.max(casosMax, toNumber(getProp(rec.sources.violencia, TOTAL_CASO_KEYS)) || 0);
+  }
+  const ctx = {
+    nbiMin: nbiVals.length ? Math.min(...nbiVals) : 0,
+    nbiMax: nbiVals.length ? Math.max(...nbiVals) : 0,
+    casosMax
+  };
+  const wSum = PRIORITY_INDICATORS.reduce((a, i) => a + (Number(cfg.weights[i.id]) || 0), 0);
+
+  const byCanton = new Map();
+  for (const rec of schoolRegistry.byAmie.values()) {
+    const comps = priorityComponents(rec, ctx);
+    let total = 0;
+    for (const ind of PRIORITY_INDICATORS) {
+      total += (Number(cfg.weights[ind.id]) || 0) * comps[ind.id];
+    }
+    total = wSum > 0 ? (total / wSum) * 100 : 0;
+    rec.indice = { total, comps };
+
+    // Agregado por cantón: nombre del registro o, si no lo trae, el cantón NBI que lo contiene
+    const cf = nbiCantonOf(rec);
+    const canton = getProp(rec.props, ['DPA_DESCAN']) || (cf && getProp(cf.properties, ['DPA_DESCAN']));
+    if (!canton) continue;
+    const prov = getProp(rec.props, ['DPA_DESPRO']) || (cf && getProp(cf.properties, ['DPA_DESPRO'])) || '';
+    const key = normText(canton);
+    let agg = byCanton.get(key);
+    if (!agg) {
+      agg = { canton, provincia: prov, n: 0, sum: 0, feature: null };
+      byCanton.set(key, agg);
+    }
+    agg.n++;
+    agg.sum += total;
+  }
+
+  for (const f of (cantonesNbiData?.features || [])) {
+    const agg = byCanton.get(normText(getProp(f.properties, ['DPA_DESCAN'])));
+    if (agg) agg.feature = f;
+  }
+  priorityByCanton = [...byCanton.values()]
+    .map(a => ({ ...a, mean: a.sum / a.n }))
+    .sort((a, b) => b.mean - a.mean);
+
+  priorityMeanByFeature.clear();
+  for (const a of priorityByCanton) if (a.feature) priorityMeanByFeature.set(a.feature, a.mean);
+
+  priorityIndexReady = true;
+  invalidateSchoolMarkers('indice');
+  renderPriorityRanking();
+  if (nbiThematic.indice) applyNbiThematic();
+}
+
+async function ensurePriorityIndex() {
+  await ensureSchoolRegistry();
+  await loadCantonesNbiData();
+  if (!priorityIndexReady) computePriorityIndex();
+}
+
+function priorityClassOf(total) {
+  return PRIORITY_CLASSES.find(c => total <= c.max) || PRIORITY_CLASSES[PRIORITY_CLASSES.length - 1];
+}
+
+function symbolPriorityIndex(indice) {
+  const c = priorityClassOf(indice ? indice.total : 0);
+  return { radius: c.radius, fill: c.color, stroke: '#111', weight: 0.6, fillOpacity: 0.9 };
+}
+
+function priorityIndexBreakdownHTML(indice) {
+  const cfg = priorityIndexConfig;
+  const rows = PRIORITY_INDICATORS.map((ind) => {
+    const v = indice.comps[ind.id] || 0;
+    return `
+      <div class="ix-row">
+        <span class="ix-k">${ind.label} <small>(peso ${cfg.weights[ind.id]})</small></span>
+        <span class="ix-bar"><span style="width:${Math.round(v * 100)}%"></span></span>
+        <span class="ix-v">${v.toFixed(2)}</span>
+      </div>`;
+  }).join('');
+  return `
+    <div class="pc-sep"></div>
+    <div class="ix-box">
+      <div class="ix-title">Índice de prioridad: <b>${indice.total.toFixed(1)}</b> / 100</div>
+      ${rows}
+    </div>`;
+}
+
+function renderPriorityRanking() {
+  const box = document.getElementById('indiceRanking');
+  if (!box) return;
+  if (!priorityIndexReady) { box.innerHTML = ''; return; }
+  const top = priorityByCanton.slice(0, 10);
+  box.innerHTML = `<div class="ix-rank-title">Cantones con mayor índice promedio</div>` + top.map((a, i) => `
+    <div class="ix-rank-row${a.feature ? ' clickable' : ''}" data-i="${i}">
+      <span>${i + 1}. ${a.canton}${a.provincia ? ` <small>(${a.provincia})</small>` : ''}</span>
+      <b>${a.mean.toFixed(1)}</b>
+    </div>`).join('');
+}
+
+function initPriorityIndex() {
+  const cb = document.getElementById('tgIndice');
+  const box = document.getElementById('indiceWeights');
+  if (!cb || !box) return;
+
+  box.innerHTML = PRIORITY_INDICATORS.map(ind => `
+    <div class="ix-weight">
+      <label for="ixw_${ind.id}">${ind.label}</label>
+      <input type="range" id="ixw_${ind.id}" data-ind="${ind.id}" min="0" max="100" step="5" value="${priorityIndexConfig.weights[ind.id]}">
+      <span class="ix-wv" id="ixv_${ind.id}">${priorityIndexConfig.weights[ind.id]}</span>
+    </div>`).join('');
+
+  // La capa se activa desde initSchoolToggles; aquí solo se muestra/oculta el panel
+  const sync = () => {
+    const panel = document.getElementById('indicePanel');
+    if (panel) panel.style.display = cb.checked ? 'block' : 'none';
+  };
+  cb.addEventListener('change', sync);
+
+  let timer = null;
+  box.addEventListener('input', (ev) => {
+    const r = ev.target.closest('input[data-ind]');
+    if (!r) return;
+    priorityIndexConfig.weights[r.dataset.ind] = Number(r.value);
+    const lbl = document.getElementById(`ixv_${r.dataset.ind}`);
+    if (lbl) lbl.textContent = r.value;
+    // Recalcular con un pequeño retardo mientras se arrastra el control
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (!priorityIndexReady) return;
+      computePriorityIndex();
+      renderSchools();
+    }, 200);
+  });
+
+  const ranking = document.getElementById('indiceRanking');
+  if (ranking) {
+    ranking.addEventListener('click', (ev) => {
+      const row = ev.target.closest('.ix-rank-row.clickable');
+      if (!row) return;
+      const a = priorityByCanton[Number(row.dataset.i)];
+      if (a && a.feature) drillToCanton(a.feature);
+    });
+  }
+
+  sync();
+}
+
+
+// ---------- Coropletas NBI (cuantiles / intervalos iguales / Jenks) ----------
+// Modo temático de la capa NBI: colorea cada cantón por F__NBI_Par o F__NBI_Can
+// (vienen como texto con coma decimal, se leen con toNumber).
+const NBI_FIELDS = [
+  { id: 'F__NBI_Can', label: 'NBI cantonal (F__NBI_Can)' },
+  { id: 'F__NBI_Par', label: 'NBI parroquial (F__NBI_Par)' }
+];
+
+const CLASS_METHODS = [
+  { id: 'quantile', label: 'Cuantiles' },
+  { id: 'equal', label: 'Intervalos iguales' },
+  { id: 'jenks', label: 'Cortes naturales (Jenks)' }
+];
+
+// Rampas (colores ancla); se interpolan al número de clases elegido
+const COLOR_RAMPS = {
+  naranjas: { label: 'Naranjas', stops: ['#fff7ec', '#fdd49e', '#fc8d59', '#d7301f', '#7f0000'] },
+  rojos: { label: 'Rojos', stops: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15'] },
+  purpuras: { label: 'Púrpuras', stops: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f'] },
+  verdeRojo: { label: 'Verde → Rojo', stops: ['#1a9850', '#91cf60', '#fee08b', '#fc8d59', '#d73027'] },
+  viridis: { label: 'Viridis', stops: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] }
+};
+
+const nbiThematic = {
+  enabled: false,
+  indice: false, // colorea cada cantón por el índice de prioridad promedio (clases PRIORITY_CLASSES)
+  field: 'F__NBI_Can',
+  method: 'quantile',
+  classes: 5,
+  ramp: 'naranjas',
+  breaks: [],  // límites superiores de cada clase
+  colors: [],
+  min: null
+};
+
+function _hexToRgb(h) {
+  const n = parseInt(h.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rampColors(rampId, k) {
+  const stops = (COLOR_RAMPS[rampId] || COLOR_RAMPS.naranjas).stops.map(_hexToRgb);
+  if (k <= 1) return [`rgb(${stops[stops.length - 1].join(',')})`];
+  const out = [];
+  for (let i = 0; i < k; i++) {
+    const t = (i / (k - 1)) * (stops.length - 1);
+    const a = Math.floor(t), b = Math.min(stops.length - 1, a + 1), f = t - a;
+    const c = stops[a].map((v, j) => Math.round(v + (stops[b][j] - v) * f));
+    out.push(`rgb(${c.join(',')})`);
+  }
+  return out;
+}
+
+// Jenks (Fisher) clásico: minimiza la varianza dentro de cada clase
+function jenksBreaks(sorted, k) {
+  const n = sorted.length;
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    for (let i = 2; i <= n; i++) variance[i][j] = Infinity;
+  }
+  for (let l = 2; l <= n; l++) {
+    let s1 = 0, s2 = 0, w = 0, v = 0;
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1;
+      const val = sorted[i3 - 1];
+      s2 += val * val;
+      s1 += val;
+      w++;
+      v = s2 - (s1 * s1) / w;
+      const i4 = i3 - 1;
+      if (i4 !== 0) {
+        for (let j = 2; j <= k; j++) {
+          if (variance[l][j] >= v + variance[i4][j - 1]) {
+            lower[l][j] = i3;
+            variance[l][j] = v + variance[i4][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+  const breaks = new Array(k);
+  breaks[k - 1] = sorted[n - 1];
+  let idx = n;
+  for (let j = k; j >= 2; j--) {
+    const id = lower[idx][j] - 2;
+    breaks[j - 2] = sorted[Math.max(0, id)];
+    idx = lower[idx][j] - 1;
+  }
+  return breaks;
+}
+
+// Devuelve los límites superiores de cada clase (el último = máximo)
+function classBreaks(values, method, k) {
+  const sorted = values.filter(v => v !== null && isFinite(v)).sort((a, b) => a - b);
+  if (!sorted.length) return [];
+  const min = sorted[0], max = sorted[sorted.length - 1];
+  k = Math.max(1, Math.min(k, sorted.length));
+
+  if (method === 'equal') {
+    const step = (max - min) / k;
+    return Array.from({ length: k }, (_, i) => (i === k - 1 ? max : min + step * (i + 1)));
+  }
+  if (method === 'jenks') {
+    return jenksBreaks(sorted, k);
+  }
+  // cuantiles
+  return Array.from({ length: k }, (_, i) => {
+    if (i === k - 1) return max;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(((i + 1) * sorted.length) / k) - 1)];
+  });
+}
+
+function nbiValueOf(feat) {
+  return toNumber(getProp(feat.properties || {}, [nbiThematic.field]));
+}
+
+function updateNbiClasses() {
+  const vals = (cantonesNbiData?.features || []).map(nbiValueOf);
+  const clean = vals.filter(v => v !== null);
+  nbiThematic.min = clean.length ? Math.min(...clean) : null;
+  nbiThematic.breaks = classBreaks(vals, nbiThematic.method, nbiThematic.classes);
+  nbiThematic.colors = rampColors(nbiThematic.ramp, nbiThematic.breaks.length);
+}
+
+function nbiColorFor(v) {
+  if (v === null) return null;
+  const i = nbiThematic.breaks.findIndex(b => v <= b);
+  return nbiThematic.colors[i < 0 ? nbiThematic.colors.length - 1 : i];
+}
+
+function styleCantonNbi(feat) {
+  const base = styleCantones();
+  if (nbiThematic.indice) {
+    const mean = priorityMeanByFeature.get(feat);
+    if (mean === undefined) return { ...base, color: '#9ca3af', fillColor: '#9ca3af', fillOpacity: 0.15, dashArray: '3 3' };
+    return { ...base, color: '#4b5563', weight: 0.8, fillColor: priorityClassOf(mean).color, fillOpacity: 0.75 };
+  }
+  if (!nbiThematic.enabled) return base;
+  const c = nbiColorFor(nbiValueOf(feat));
+  if (!c) return { ...base, color: '#9ca3af', fillColor: '#9ca3af', fillOpacity: 0.15, dashArray: '3 3' };
+  return { ...base, color: '#4b5563', weight: 0.8, fillColor: c, fillOpacity: 0.75 };
+}
+
+function fmtNbi(v) {
+  return v === null ? '—' : v.toLocaleString('es-EC', { maximumFractionDigits: 3 });
+}
+
+// Ítems de leyenda de la capa NBI (plano o temático): salen de styleCantonNbi, igual que el mapa
+function nbiLegendItems() {
+  const item = (st, label) => ({ label, fill: st.fillColor, fillOpacity: st.fillOpacity, border: st.color, dashed: !!st.dashArray });
+  if (nbiThematic.indice) {
+    let prev = 0;
+    const its = PRIORITY_CLASSES.map((c) => {
+      const it = { label: `${prev} – ${c.max}`, fill: c.color, fillOpacity: 0.75, border: '#4b5563', dashed: false };
+      prev = c.max;
+      return it;
+    });
+    return [...its, item(styleCantonNbi({ properties: {} }), 'Sin instituciones con índice')];
+  }
+  if (!nbiThematic.enabled) return [item(styleCantonNbi({ properties: {} }), 'Cantones con NBI &gt; 50%')];
+  let prev = nbiThematic.min;
+  const its = nbiThematic.breaks.map((b) => {
+    const it = item(styleCantonNbi({ properties: { [nbiThematic.field]: b } }), `${fmtNbi(prev)} – ${fmtNbi(b)}`);
+    prev = b;
+    return it;
+  });
+  return [...its, item(styleCantonNbi({ properties: {} }), 'Sin dato')];
+}
+
+function applyNbiThematic() {
+  updateNbiClasses();
+  if (layers.cantonesNbiPoly) layers.cantonesNbiPoly.setStyle(styleCantonNbi);
+  refreshLegends();
+}
+
+function initNbiThematic() {
+  const box = document.getElementById('nbiThematic');
+  if (!box) return;
+
+  const opt = (list, cur) => list.map(o => `<option value="${o.id}"${o.id === cur ? ' selected' : ''}>${o.label}</option>`).join('');
+  box.innerHTML = `
+    <div class="attr-filter">
+      <label for="nbiMode">Simbología</label>
+      <select id="nbiMode">
+        <option value="flat">Color único</option>
+        <option value="thematic">Temática (coropletas)</option>
+        <option value="indice">Índice de prioridad (promedio del cantón)</option>
+      </select>
+    </div>
+    <div id="nbiThematicOpts" style="display:none;">
+      <div class="attr-filter"><label for="nbiField">Campo</label><select id="nbiField">${opt(NBI_FIELDS, nbiThematic.field)}</select></div>
+      <div class="attr-filter"><label for="nbiMethod">Clasificación</label><select id="nbiMethod">${opt(CLASS_METHODS, nbiThematic.method)}</select></div>
+      <div class="attr-filter"><label for="nbiClasses">Clases</label>
+        <select id="nbiClasses">${[3, 4, 5, 6, 7].map(k => `<option value="${k}"${k === nbiThematic.classes ? ' selected' : ''}>${k}</option>`).join('')}</select></div>
+      <div class="attr-filter"><label for="nbiRamp">Rampa de color</label>
+        <select id="nbiRamp">${opt(Object.entries(COLOR_RAMPS).map(([id, r]) => ({ id, label: r.label })), nbiThematic.ramp)}</select></div>
+    </div>`;
+
+  const get = id => document.getElementById(id);
+  box.addEventListener('change', async () => {
+    nbiThematic.enabled = get('nbiMode').value === 'thematic';
+    nbiThematic.indice = get('nbiMode').value === 'indice';
+    nbiThematic.field = get('nbiField').value;
+    nbiThematic.method = get('nbiMethod').value;
+    nbiThematic.classes = Number(get('nbiClasses').value);
+    nbiThematic.ramp = get('nbiRamp').value;
+    get('nbiThematicOpts').style.display = nbiThematic.enabled ? 'block' : 'none';
+    try {
+      await loadCantonesNbiData();
+      if (nbiThematic.indice) await ensurePriorityIndex();
+      applyNbiThematic();
+    } catch (e) {
+      console.error(e);
+      setStatus(String(e.message || e));
+    }
+  });
+}
+
+
+// ---------- Resumen territorial (indicadores de un conjunto de instituciones) ----------
+const TOTAL_CASO_KEYS = ['Total_caso','Total_Caso','Total Caso','TOTAL_CASO','TOTAL_CASOS','total_caso','total_casos'];
+const TOTAL_ESTU_KEYS = ['Total_estu','Total estu','TOTAL_ESTU','TOTAL_EST','total_estu','total_estudiantes'];
+
+function summarizeSchools(records) {
+  const sum = {
+    total: 0,
+    estadosPrior: {},   // ESTADO_IE_ de la Zona de Atención Prioritaria
+    sinLuz: 0,
+    sinAgua: 0,
+    conServicios: 0,    // instituciones con dato de servicios
+    casos: 0,
+    extranjeros: 0
+  };
+  for (const rec of records) {
+    sum.total++;
+    const prior = rec.sources.priorizacionZona;
+    if (prior) {
+      const e = priorEstadoKey(prior);
+      sum.estadosPrior[e] = (sum.estadosPrior[e] || 0) + 1;
+    }
+    const serv = rec.sources.servicios;
+    if (serv) {
+      sum.conServicios++;
+      if (isNo(getProp(serv, SERV_E_KEYS))) sum.sinLuz++;
+      if (isNo(getProp(serv, SERV_A_KEYS))) sum.sinAgua++;
+    }
+    if (rec.sources.violencia) sum.casos += toNumber(getProp(rec.sources.violencia, TOTAL_CASO_KEYS)) || 0;
+    if (rec.sources.otrasNacionalidades) {
+      sum.extranjeros += toNumber(getProp(rec.sources.otrasNacionalidades, TOTAL_ESTU_KEYS)) || 0;
+    }
+  }
+  return sum;
+}
+
+function fmtInt(n) {
+  return Math.round(n || 0).toLocaleString('es-EC');
+}
+
+function summaryHTML(sum) {
+  const estados = Object.entries(sum.estadosPrior).sort((a, b) => b[1] - a[1]);
+  const estadoRows = estados.length
+    ? estados.map(([e, n]) => `
+        <div class="pc-row">
+          <div class="pc-k"><span class="sum-dot" style="background:${priorEstadoColor(e)}"></span>${e === PRIOR_OTROS ? 'Otros / sin dato' : e}</div>
+          <div class="pc-v">${fmtInt(n)}</div>
+        </div>`).join('')
+    : '<div class="pc-empty">Sin instituciones priorizadas</div>';
+
+  return `
+    <div class="sum-section">
+      <div class="sum-title">Zona de Atención Prioritaria (por Estado)</div>
+      ${estadoRows}
+    </div>
+    <div class="sum-section">
+      <div class="sum-title">Servicios básicos</div>
+      <div class="pc-row"><div class="pc-k">Sin electricidad</div><div class="pc-v">${fmtInt(sum.sinLuz)}</div></div>
+      <div class="pc-row"><div class="pc-k">Sin agua</div><div class="pc-v">${fmtInt(sum.sinAgua)}</div></div>
+      <div class="pc-row"><div class="pc-k">Con dato de servicios</div><div class="pc-v">${fmtInt(sum.conServicios)}</div></div>
+    </div>
+    <div class="sum-section">
+      <div class="sum-title">Indicadores</div>
+      <div class="pc-row"><div class="pc-k">Total casos de violencia</div><div class="pc-v">${fmtInt(sum.casos)}</div></div>
+      <div class="pc-row"><div class="pc-k">Estudiantes otras nacionalidades</div><div class="pc-v">${fmtInt(sum.extranjeros)}</div></div>
+      <div class="pc-row"><div class="pc-k">Instituciones en el área</div><div class="pc-v">${fmtInt(sum.total)}</div></div>
+    </div>`;
+}
+
+
+// ---------- Dashboard de la vista actual ----------
+// Panel plegable que se recalcula en cada moveend con las instituciones dentro de la
+// vista (respetando los filtros por atributo). Clic en una barra = filtrar el mapa.
+const DASH_TOP_CANTONES = 10;
+let dashTimer = null;
+
+function dashboardOpen() {
+  const panel = document.getElementById('dashPanel');
+  return !!panel && panel.open;
+}
+
+function scheduleDashboard() {
+  if (!dashboardOpen() || !schoolRegistry.ready) return;
+  clearTimeout(dashTimer);
+  dashTimer = setTimeout(renderDashboard, 150);
+}
+
+function dashboardRecords() {
+  const b = map.getBounds();
+  const out = [];
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (b.contains(rec.latlng) && passesAttrFilters(rec.props)) out.push(rec);
+  }
+  return out;
+}
+
+function computeDashboard(recs) {
+  const d = {
+    total: recs.length,
+    estados: {},
+    conServicios: 0, sinLuz: 0, sinAgua: 0,
+    cantones: new Map(),
+    extranjeros: 0, conExtranjeros: 0,
+    nacionalidades: Object.fromEntries(NATIONALITIES.filter(n => n.foreign).map(n => [n.id, 0]))
+  };
+  const viol = SCHOOL_FILTERS.find(f => f.id === 'violencia');
+
+  for (const rec of recs) {
+    const e = getProp(rec.props, ['ESTADO_IE_']);
+    const ek = e === null ? '' : attrKey(e);
+    d.estados[ek] = (d.estados[ek] || 0) + 1;
+
+    const sv = rec.sources.servicios;
+    if (sv) {
+      d.conServicios++;
+      if (isNo(getProp(sv, SERV_E_KEYS))) d.sinLuz++;
+      if (isNo(getProp(sv, SERV_A_KEYS))) d.sinAgua++;
+    }
+
+    if (viol.match(rec)) {
+      const c = getProp(rec.props, ['DPA_DESCAN']);
+      const v = violenceValueOf(rec) || 0;
+      if (c !== null && v > 0) d.cantones.set(attrKey(c), (d.cantones.get(attrKey(c)) || 0) + v);
+    }
+
+    const ot = rec.sources.otrasNacionalidades;
+    const n = ot ? (toNumber(getProp(ot, TOTAL_ESTU_KEYS)) || 0) : 0;
+    if (n > 0) {
+      d.extranjeros += n;
+      d.conExtranjeros++;
+    }
+    const bd = nationalityBreakdownOf(rec);
+    if (bd) Object.keys(d.nacionalidades).forEach((k) => { d.nacionalidades[k] += bd[k]; });
+  }
+  return d;
+}
+
+// Barra clicable: action/value identifican el filtro a aplicar
+function dashBarHTML({ label, value, max, text, color, action, key, active }) {
+  const w = max > 0 ? Math.round((value / max) * 100) : 0;
+  const attrs = action ? ` data-action="${action}" data-value="${key}"` : ' disabled';
+  return `<button type="button" class="db-bar${active ? ' active' : ''}"${attrs}>
+    <span class="db-k">${label}</span>
+    <span class="db-track"><span style="width:${w}%;background:${color}"></span></span>
+    <span class="db-v">${text ?? fmtInt(value)}</span>
+  </button>`;
+}
+
+function dashboardHTML(d) {
+  if (!d.total) return '<div class="pc-empty">Sin instituciones en la vista actual.</div>';
+
+  const estados = Object.entries(d.estados).sort((a, b) => b[1] - a[1]);
+  const maxE = Math.max(...estados.map(e => e[1]));
+  const estadoBars = estados.map(([e, n]) => dashBarHTML({
+    label: e || 'Sin dato', value: n, max: maxE,
+    color: priorEstadoColor(e || PRIOR_OTROS),
+    action: e ? 'estado' : null, key: e,
+    active: e && attrFilterState.estado === e
+  })).join('');
+
+  const pct = n => (d.conServicios ? n / d.conServicios : 0);
+  const servOnly = id => ['tgServEYes', 'tgServENo', 'tgServAYes', 'tgServANo'].every(x => isChecked(x) === (x === id));
+  const servBars = d.conServicios ? [
+    dashBarHTML({ label: 'Sin electricidad', value: pct(d.sinLuz), max: 1, text: `${fmtPct(pct(d.sinLuz))} (${fmtInt(d.sinLuz)})`, color: '#f59e0b', action: 'serv', key: 'tgServENo', active: servOnly('tgServENo') }),
+    dashBarHTML({ label: 'Sin agua', value: pct(d.sinAgua), max: 1, text: `${fmtPct(pct(d.sinAgua))} (${fmtInt(d.sinAgua)})`, color: '#0288d1', action: 'serv', key: 'tgServANo', active: servOnly('tgServANo') })
+  ].join('') : '<div class="pc-empty">Sin dato de servicios en la vista.</div>';
+
+  const cantones = [...d.cantones.entries()].sort((a, b) => b[1] - a[1]).slice(0, DASH_TOP_CANTONES);
+  const maxC = cantones.length ? cantones[0][1] : 0;
+  const cantonBars = cantones.length ? cantones.map(([c, n]) => dashBarHTML({
+    label: c, value: n, max: maxC, color: VIOLENCE_TYPE_COLOR,
+    action: 'canton', key: c, active: attrFilterState.canton === c
+  })).join('') : '<div class="pc-empty">Sin casos de violencia en la vista.</div>';
+
+  const nats = NATIONALITIES.filter(n => n.foreign);
+  const maxN = Math.max(0, ...nats.map(n => d.nacionalidades[n.id]));
+  const natBars = maxN ? nats.map(n => dashBarHTML({
+    label: n.label, value: d.nacionalidades[n.id], max: maxN, color: n.color,
+    action: 'nac', key: n.id, active: isChecked('tgOtras') && otrasView.nationality === n.id
+  })).join('') + '<div class="attr-filter-note">Desglose por nacionalidad disponible solo para instituciones de cantones NBI.</div>' : '';
+
+  return `
+    <div class="db-total">${fmtInt(d.total)} instituciones en la vista</div>
+    <div class="sum-section">
+      <div class="sum-title">Instituciones por Estado (ESTADO_IE_)</div>
+      ${estadoBars}
+    </div>
+    <div class="sum-section">
+      <div class="sum-title">Servicios básicos (% de ${fmtInt(d.conServicios)} con dato)</div>
+      ${servBars}
+    </div>
+    <div class="sum-section">
+      <div class="sum-title">Top ${DASH_TOP_CANTONES} cantones por casos de violencia</div>
+      ${cantonBars}
+    </div>
+    <div class="sum-section">
+      <div class="sum-title">Estudiantes de otras nacionalidades</div>
+      <div class="pc-row"><div class="pc-k">Total extranjeros</div><div class="pc-v">${fmtInt(d.extranjeros)}</div></div>
+      <div class="pc-row"><div class="pc-k">Instituciones con extranjeros</div><div class="pc-v">${fmtInt(d.conExtranjeros)}</div></div>
+      ${natBars}
+    </div>`;
+}
+
+function renderDashboard() {
+  const body = document.getElementById('dashBody');
+  if (!body || !schoolRegistry.ready) return;
+  body.innerHTML = dashboardHTML(computeDashboard(dashboardRecords()));
+}
+
+function setCheckbox(id, checked) {
+  const cb = document.getElementById(id);
+  if (!cb || cb.checked === checked) return;
+  cb.checked = checked;
+  cb.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Clic en una barra: filtra el mapa a esa categoría (segundo clic la quita)
+function onDashboardBar(action, value, active) {
+  if (action === 'estado') {
+    setAttrFilter('estado', active ? '' : value);
+  } else if (action === 'canton') {
+    if (!active) setCheckbox('tgViol', true);
+    setAttrFilter('canton', active ? '' : value);
+  } else if (action === 'serv') {
+    // Deja solo la capa de servicios elegida (Sin electricidad / Sin agua)
+    ['tgServEYes', 'tgServENo', 'tgServAYes', 'tgServANo'].forEach(id => setCheckbox(id, !active && id === value));
+  } else if (action === 'nac') {
+    if (!active) setCheckbox('tgOtras', true);
+    setOtrasView(otrasView.mode, active ? 'total' : value);
+    writePermalink();
+  }
+  scheduleDashboard();
+}
+
+function initDashboard() {
+  const panel = document.getElementById('dashPanel');
+  const body = document.getElementById('dashBody');
+  if (!panel || !body) return;
+
+  panel.addEventListener('toggle', async () => {
+    if (!panel.open) return;
+    try {
+      if (!schoolRegistry.ready) {
+        body.innerHTML = '<div class="pc-empty">Cargando…</div>';
+        await ensureSchoolRegistry();
+      }
+      renderDashboard();
+    } catch (e) {
+      console.error(e);
+      setStatus(String(e.message || e));
+    }
+  });
+
+  body.addEventListener('click', (ev) => {
+    const bar = ev.target.closest('.db-bar[data-action]');
+    if (bar) onDashboardBar(bar.dataset.action, bar.dataset.value, bar.classList.contains('active'));
+  });
+
+  map.on('moveend', scheduleDashboard);
+}
+
+
+// ---------- Brecha de servicios: tabla provincia × estado combinado ----------
+// Servicios no trae la provincia: se toma de los atributos unidos por AMIE o, si falta,
+// por punto-en-polígono contra provincias_simplificado.
+const SERVICE_STATUS_COLUMNS = [
+  ...SERVICE_STATUS.map(st => ({ id: st.id, label: st.label })),
+  { id: 'si', label: 'Sin información' }
+];
+
+function provinciaOfRec(rec) {
+  if (rec._provincia !== undefined) return rec._provincia;
+  const p = getProp(rec.props, ['DPA_DESPRO']);
+  rec._provincia = p !== null ? attrKey(p) : null;
+  if (rec._provincia) return rec._provincia;
+
+  const x = rec.latlng.lng, y = rec.latlng.lat;
+  for (const f of (provinciasData?.features || [])) {
+    if (!f._bbox) f._bbox = geometryBBox(f.geometry);
+    const b = f._bbox;
+    if (x < b[0] || x > b[2] || y < b[1] || y > b[3]) continue;
+    if (pointInGeometry(x, y, f.geometry)) { rec._provincia = attrKey(provinciaName(f)); break; }
+  }
+  return rec._provincia;
+}
+
+// Filas { Provincia, <estado>..., Total } + fila final de totales (respeta filtros por atributo)
+function serviceCrossTab() {
+  const byProv = new Map();
+  const blank = () => Object.fromEntries(SERVICE_STATUS_COLUMNS.map(c => [c.id, 0]));
+  for (const rec of schoolRegistry.byAmie.values()) {
+    const st = serviceStatusOf(rec);
+    if (!st || !passesAttrFilters(rec.props)) continue;
+    const prov = provinciaOfRec(rec) || 'SIN PROVINCIA';
+    if (!byProv.has(prov)) byProv.set(prov, blank());
+    byProv.get(prov)[st]++;
+  }
+
+  const toRow = (name, counts) => {
+    const row = { Provincia: name };
+    let total = 0;
+    for (const c of SERVICE_STATUS_COLUMNS) {
+      row[c.label] = counts[c.id];
+      total += counts[c.id];
+    }
+    row.Total = total;
+    return row;
+  };
+
+  const totals = blank();
+  const rows = [...byProv.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0], 'es'))
+    .map(([prov, counts]) => {
+      SERVICE_STATUS_COLUMNS.forEach((c) => { totals[c.id] += counts[c.id]; });
+      return toRow(prov, counts);
+    });
+  rows.push(toRow('TOTAL', totals));
+  return rows;
+}
+
+function serviceCrossTabColumns() {
+  return ['Provincia', ...SERVICE_STATUS_COLUMNS.map(c => c.label), 'Total'];
+}
+
+function renderServiceCrossTab() {
+  const body = document.getElementById('servCrossTabBody');
+  if (!body || !schoolRegistry.ready) return;
+  const cols = serviceCrossTabColumns();
+  const rows = serviceCrossTab();
+  const ninguno = SERVICE_STATUS.find(st => st.id === 'ninguno').label;
+  body.innerHTML = `
+    <table class="sv-table">
+      <thead><tr>${cols.map(c => `<th>${c}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map(r => `
+        <tr${r.Provincia === 'TOTAL' ? ' class="sv-total"' : ''}>${cols.map((c) => {
+          const v = r[c];
+          const hot = c === ninguno && v > 0 ? ' class="sv-hot"' : '';
+          return `<td${hot}>${typeof v === 'number' ? fmtInt(v) : v}</td>`;
+        }).join('')}</tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function refreshServiceCrossTab() {
+  const panel = document.getElementById('servCrossTab');
+  if (panel && panel.open) renderServiceCrossTab();
+}
+
+function initServiceCrossTab() {
+  const panel = document.getElementById('servCrossTab');
+  const btn = document.getElementById('servCrossTabExport');
+  const sel = document.getElementById('servCrossTabFormat');
+  if (!panel) return;
+
+  const prepare = async () => {
+    await ensureSchoolRegistry();
+    await loadProvinciasData();
+  };
+
+  panel.addEventListener('toggle', async () => {
+    if (!panel.open) return;
+    try {
+      setStatus('Calculando tabla...');
+      await prepare();
+      setStatus('');
+      renderServiceCrossTab();
+    } catch (e) {
+      console.error(e);
+      setStatus(String(e.message || e));
+    }
+  });
+
+  if (btn && sel) {
+    btn.addEventListener('click', async () => {
+      try {
+        await prepare();
+        await exportRows(serviceCrossTab(), sel.value, 'servicios_por_provincia', serviceCrossTabColumns());
+        setStatus('');
+      } catch (e) {
+        console.error(e);
+        setStatus(`No se pudo exportar: ${e.message || e}`);
+      }
+    });
+  }
+}
+
+
+// ---------- Análisis de proximidad (buffer en km) ----------
+// Centro = clic en el mapa o botón "Analizar proximidad" del popup de una institución.
+// Lista todo lo cargado dentro del radio (instituciones del registro, cantones NBI y
+// provincias) ordenado por distancia, y las N más cercanas con electricidad.
+const PROX_MAX_LIST = 300;
+
+// Herramienta que "captura" el próximo clic en el mapa (p.ej. 'prox'); mientras está
+// activa, los clics en polígonos no hacen drill-down.
+let mapClickTool = null;
+
+const proxState = { center: null, rec: null, layer: L.layerGroup() };
+
+// Distancia (m) de un punto a un segmento, en proyección equirectangular local
+function distanceToSegment(p, a, b) {
+  const kx = 111320 * Math.cos((p.lat * Math.PI) / 180);
+  const ky = 110540;
+  const ax = (a[0] - p.lng) * kx, ay = (a[1] - p.lat) * ky;
+  const bx = (b[0] - p.lng) * kx, by = (b[1] - p.lat) * ky;
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// 0 si el punto está dentro; si no, distancia al borde más cercano
+function distanceToGeometry(latlng, g) {
+  if (pointInGeometry(latlng.lng, latlng.lat, g)) return 0;
+  const polys = g.type === 'Polygon' ? [g.coordinates] : g.type === 'MultiPolygon' ? g.coordinates : [];
+  let best = Infinity;
+  for (const rings of polys) {
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i++) {
+        const d = distanceToSegment(latlng, ring[i - 1], ring[i]);
+        if (d < best) best = d;
+      }
+    }
+  }
+  return best;
+}
+
+function fmtKm(m) {
+  return `${(m / 1000).toLocaleString('es-EC', { maximumFractionDigits: m < 10000 ? 2 : 1 })} km`;
+}
+
+function proximityHits(center, radiusM) {
+  const hits = [];
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (!passesAttrFilters(rec.props)) continue;
+    const d = map.distance(center, rec.latlng);
+    if (d <= radiusM) hits.push({ kind: 'school', rec, d });
+  }
+  const polys = [
+    ['canton', cantonesNbiData, f => `Cantón NBI: ${getProp(f.properties, ['DPA_DESCAN']) || '—'}`],
+    ['provincia', provinciasData, f => `Provincia: ${provinciaName(f)}`]
+  ];
+  for (const [kind, gj, label] of polys) {
+    for (const f of (gj?.features || [])) {
+      if (!f.geometry) continue;
+      if (kind === 'canton' && !passesAttrFilters(f.properties || {})) continue;
+      const d = distanceToGeometry(center, f.geometry);
+      if (d <= radiusM) hits.push({ kind, feat: f, d, label: label(f) });
+    }
+  }
+  return hits.sort((a, b) => a.d - b.d);
+}
+
+function nearestWithElectricity(center, n, exclude) {
+  const out = [];
+  for (const rec of schoolRegistry.byAmie.values()) {
+    if (rec === exclude || !rec.sources.servicios) continue;
+    if (!isYes(getProp(rec.sources.servicios, SERV_E_KEYS))) continue;
+    if (!passesAttrFilters(rec.props)) continue;
+    out.push({ kind: 'school', rec, d: map.distance(center, rec.latlng) });
+  }
+  return out.sort((a, b) => a.d - b.d).slice(0, n);
+}
+
+// Etiquetas cortas de lo relevante para planificar (fuentes, Estado, servicios)
+function proxTagsOf(rec) {
+  const tags = Object.keys(rec.sources).map(k => REGISTRY_SOURCE_LABELS[k] || k);
+  const estado = getProp(rec.props, ['ESTADO_IE_']);
+  if (estado !== null) tags.push(`Estado ${estado}`);
+  const st = serviceStatusOf(rec);
+  if (st && st !== 'ambos' && st !== 'si') tags.push(SERVICE_STATUS.find(x => x.id === st).label);
+  return tags;
+}
+
+function proxItemHTML(h, i) {
+  if (h.kind === 'school') {
+    return `<li data-i="${i}">
+      <span class="prox-d">${fmtKm(h.d)}</span>
+      <span class="prox-name">${popupTitle(h.rec.props)} <small>${h.rec.amie}</small></span>
+      <span class="prox-tags">${proxTagsOf(h.rec).join(' · ')}</span>
+    </li>`;
+  }
+  return `<li data-i="${i}" class="prox-poly">
+    <span class="prox-d">${h.d ? fmtKm(h.d) : 'contiene'}</span>
+    <span class="prox-name">${h.label}</span>
+  </li>`;
+}
+
+let proxLastHits = [];
+
+function renderProximity(hits, nearest) {
+  const box = document.getElementById('proxResults');
+  if (!box) return;
+  proxLastHits = [...hits.slice(0, PROX_MAX_LIST), ...nearest];
+  const listed = hits.slice(0, PROX_MAX_LIST);
+  const nSchools = hits.filter(h => h.kind === 'school').length;
+  const more = hits.length > PROX_MAX_LIST ? `<div class="attr-filter-note">Se muestran las ${PROX_MAX_LIST} más cercanas de ${fmtInt(hits.length)}.</div>` : '';
+
+  box.innerHTML = `
+    <div class="sum-title">Dentro del radio: ${fmtInt(nSchools)} instituciones, ${fmtInt(hits.length - nSchools)} polígonos</div>
+    <ul class="prox-list">${listed.map((h, i) => proxItemHTML(h, i)).join('') || '<li class="pc-empty">Nada dentro del radio</li>'}</ul>
+    ${more}
+    ${nearest.length ? `
+      <div class="sum-title">${nearest.length} más cercanas con electricidad</div>
+      <ul class="prox-list">${nearest.map((h, i) => proxItemHTML(h, listed.length + i)).join('')}</ul>` : ''}`;
+}
+
+function drawProximity(center, radiusM, nearest) {
+  const lg = proxState.layer;
+  lg.clearLayers();
+  L.circle(center, { radius: radiusM, pane: 'paneHighlight', interactive: false, color: '#7c3aed', weight: 2, dashArray: '6 4', fillOpacity: 0.06 }).addTo(lg);
+  L.circleMarker(center, { pane: 'paneHighlight', interactive: false, radius: 5, color: '#fff', weight: 2, fillColor: '#7c3aed', fillOpacity: 1 }).addTo(lg);
+  for (const h of nearest) {
+    L.polyline([center, h.rec.latlng], { pane: 'paneHighlight', interactive: false, color: '#00c853', weight: 2, dashArray: '2 4' }).addTo(lg);
+  }
+  if (!map.hasLayer(lg)) lg.addTo(map);
+}
+
+function proxParams() {
+  const km = Number(document.getElementById('proxRadius')?.value);
+  const n = Number(document.getElementById('proxN')?.value);
+  return {
+    radiusM: (Number.isFinite(km) && km > 0 ? km : 5) * 1000,
+    n: Number.isFinite(n) && n > 0 ? Math.min(50, Math.round(n)) : 5,
+    nearest: !!document.getElementById('proxNearestOn')?.checked
+  };
+}
+
+async function runProximity(center, rec = null) {
+  const panel = document.getElementById('proxPanel');
+  if (panel && !panel.open) panel.open = true;
+  proxState.center = L.latLng(center);
+  proxState.rec = rec;
+  try {
+    setStatus('Calculando proximidad...');
+    await ensureSchoolRegistry();
+    await Promise.all([loadProvinciasData(), loadCantonesNbiData()]);
+    setStatus('');
+  } catch (e) {
+    console.error(e);
+    setStatus(String(e.message || e));
+    return;
+  }
+  const { radiusM, n, nearest } = proxParams();
+  const hits = proximityHits(proxState.center, radiusM);
+  const near = nearest ? nearestWithElectricity(proxState.center, n, rec) : [];
+  drawProximity(proxState.center, radiusM, near);
+  renderProximity(hits, near);
+  const cb = document.getElementById('proxClear');
+  if (cb) cb.disabled = false;
+}
+
+function setProxPicking(on) {
+  mapClickTool = on ? 'prox' : null;
+  map.getContainer().classList.toggle('map-picking', on);
+  const btn = document.getElementById('proxPick');
+  if (btn) btn.classList.toggle('active', on);
+}
+
+function clearProximity() {
+  proxState.layer.clearLayers();
+  proxState.center = null;
+  proxState.rec = null;
+  proxLastHits = [];
+  const box = document.getElementById('proxResults');
+  if (box) box.innerHTML = '';
+  const cb = document.getElementById('proxClear');
+  if (cb) cb.disabled = true;
+}
+
+function initProximity() {
+  const panel = document.getElementById('proxPanel');
+  if (!panel) return;
+
+  const pick = document.getElementById('proxPick');
+  if (pick) pick.addEventListener('click', () => setProxPicking(mapClickTool !== 'prox'));
+
+  map.on('click', (e) => {
+    if (mapClickTool !== 'prox') return;
+    setProxPicking(false);
+    map.closePopup();
+    runProximity(e.latlng);
+  });
+
+  // Cambiar radio / N recalcula sobre el mismo centro
+  panel.addEventListener('change', (ev) => {
+    if (!ev.target.matches('#proxRadius, #proxN, #proxNearestOn')) return;
+    if (proxState.center) runProximity(proxState.center, proxState.rec);
+  });
+
+  const clr = document.getElementById('proxClear');
+  if (clr) {
+    clr.disabled = true;
+    clr.addEventListener('click', clearProximity);
+  }
+
+  // Botón del popup de la institución
+  document.addEventListener('click', (ev) => {
+    const btn = ev.target.closest('.pc-prox');
+    if (!btn) return;
+    const rec = schoolRegistry.byAmie.get(btn.dataset.amie);
+    if (rec) runProximity(rec.latlng, rec);
+  });
+
+  const list = document.getElementById('proxResults');
+  if (list) {
+    list.addEventListener('click', (ev) => {
+      const li = ev.target.closest('li[data-i]');
+      const h = li && proxLastHits[Number(li.dataset.i)];
+      if (!h) return;
+      if (h.kind === 'school') selectSearchResult({ kind: 'school', rec: h.rec });
+      else if (h.kind === 'canton') drillToCanton(h.feat);
+      else drillToProvincia(h.feat);
+    });
+  }
+}
+
+
+// ---------- Selección por área dibujada (polígono / rectángulo / círculo) ----------
+// Leaflet.draw se carga solo al usar la herramienta. Se seleccionan los puntos dibujados
+// (capas activas + filtros) que caen dentro de alguna de las figuras.
+const LEAFLET_DRAW_JS_URL = 'https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.js';
+const LEAFLET_DRAW_CSS_URL = 'https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.css';
+const DRAW_MAX_TABLE = 500;
+const DRAW_SHAPE_STYLE = { color: '#f97316', weight: 2, fillOpacity: 0.08 };
+
+const drawnItems = L.featureGroup();
+let drawHandler = null;
+let drawSelection = [];
+
+async function ensureLeafletDraw() {
+  loadStylesheet(LEAFLET_DRAW_CSS_URL);
+  await loadScript(LEAFLET_DRAW_JS_URL);
+  if (!L.Draw) throw new Error('Leaflet.draw no está disponible');
+}
+
+async function startDrawing(kind) {
+  try {
+    await ensureLeafletDraw();
+  } catch (e) {
+    console.error(e);
+    setStatus(String(e.message || e));
+    return;
+  }
+  if (drawHandler) drawHandler.disable();
+  const opts = { shapeOptions: DRAW_SHAPE_STYLE, showArea: false };
+  const Handler = { polygon: L.Draw.Polygon, rectangle: L.Draw.Rectangle, circle: L.Draw.Circle }[kind];
+  drawHandler = new Handler(map, opts);
+  drawHandler.enable();
+  mapClickTool = 'draw';
+}
+
+// ¿El punto cae dentro de la figura? Círculos por distancia; el resto por punto-en-polígono
+function layerContains(layer, latlng) {
+  if (layer instanceof L.Circle) return map.distance(layer.getLatLng(), latlng) <= layer.getRadius();
+  if (!layer._drawGeom) layer._drawGeom = layer.toGeoJSON().geometry;
+  const b = layer.getBounds();
+  return b.contains(latlng) && pointInGeometry(latlng.lng, latlng.lat, layer._drawGeom);
+}
+
+function drawSelectedRecords() {
+  const shapes = drawnItems.getLayers();
+  const out = [];
+  if (!shapes.length || !map.hasLayer(schoolsLayer)) return out;
+  eachSchoolMarker((m) => {
+    const rec = m.schoolRecord;
+    if (rec && shapes.some(l => layerContains(l, rec.latlng))) out.push(rec);
+  });
+  return out;
+}
+
+function drawRowHTML(rec) {
+  const estado = getProp(rec.props, ['ESTADO_IE_']);
+  const st = serviceStatusOf(rec);
+  const casos = rec.sources.violencia ? toNumber(getProp(rec.sources.violencia, TOTAL_CASO_KEYS)) : null;
+  const ext = rec.sources.otrasNacionalidades ? toNumber(getProp(rec.sources.otrasNacionalidades, TOTAL_ESTU_KEYS)) : null;
+  return `<tr data-amie="${rec.amie}">
+    <td>${rec.amie}</td>
+    <td>${popupTitle(rec.props)}</td>
+    <td>${estado ?? ''}</td>
+    <td>${st ? SERVICE_STATUS_COLUMNS.find(c => c.id === st).label : ''}</td>
+    <td>${casos ?? ''}</td>
+    <td>${ext ?? ''}</td>
+  </tr>`;
+}
+
+function renderDrawSelection() {
+  drawSelection = drawSelectedRecords();
+  const box = document.getElementById('drawResults');
+  const nShapes = drawnItems.getLayers().length;
+  ['drawExport', 'drawSave', 'drawClear'].forEach((id) => {
+    const b = document.getElementById(id);
+    if (b) b.disabled = id === 'drawExport' ? !drawSelection.length : !nShapes;
+  });
+  if (!box) return;
+  if (!nShapes) {
+    box.innerHTML = '';
+    return;
+  }
+  if (!drawSelection.length) {
+    box.innerHTML = '<div class="pc-empty">Ningún punto de las capas activas cae dentro del área.</div>';
+    return;
+  }
+  const more = drawSelection.length > DRAW_MAX_TABLE
+    ? `<div class="attr-filter-note">Tabla limitada a ${DRAW_MAX_TABLE} filas; la exportación incluye las ${fmtInt(drawSelection.length)}.</div>` : '';
+  box.innerHTML = `
+    <div class="sum-title">${fmtInt(drawSelection.length)} instituciones en ${nShapes} área(s)</div>
+    ${summaryHTML(summarizeSchools(drawSelection))}
+    <div class="sv-table-wrap">
+      <table class="sv-table draw-table">
+        <thead><tr><th>AMIE</th><th>Nombre</th><th>Estado</th><th>Servicios</th><th>Casos</th><th>Extranj.</th></tr></thead>
+        <tbody>${drawSelection.slice(0, DRAW_MAX_TABLE).map(drawRowHTML).join('')}</tbody>
+      </table>
+    </div>
+    ${more}`;
+}
+
+function addDrawnLayer(layer) {
+  if (layer.setStyle) layer.setStyle(DRAW_SHAPE_STYLE);
+  drawnItems.addLayer(layer);
+  if (!map.hasLayer(drawnItems)) drawnItems.addTo(map);
+}
+
+// Círculos: GeoJSON no tiene círculos, se guardan como Point con "radius" (m)
+function drawnItemsToGeoJSON() {
+  return {
+    type: 'FeatureCollection',
+    features: drawnItems.getLayers().map((l) => {
+      if (l instanceof L.Circle) {
+        const c = l.getLatLng();
+        return { type: 'Feature', properties: { shape: 'circle', radius: l.getRadius() }, geometry: { type: 'Point', coordinates: [c.lng, c.lat] } };
+      }
+      const f = l.toGeoJSON();
+      f.properties = { shape: l instanceof L.Rectangle ? 'rectangle' : 'polygon' };
+      return f;
+    })
+  };
+}
+
+function loadDrawnGeoJSON(gj) {
+  gj = _reprojectCantonesIfNeeded(gj);
+  const feats = gj.type === 'FeatureCollection' ? gj.features : gj.type === 'Feature' ? [gj] : [{ type: 'Feature', properties: {}, geometry: gj }];
+  let n = 0;
+  for (const f of feats) {
+    const g = f && f.geometry;
+    if (!g) continue;
+    const radius = toNumber(f.properties?.radius);
+    if (g.type === 'Point' && radius) {
+      addDrawnLayer(L.circle([g.coordinates[1], g.coordinates[0]], { radius }));
+      n++;
+    } else if (g.type === 'Polygon' || g.type === 'MultiPolygon') {
+      L.geoJSON(f).eachLayer((l) => { addDrawnLayer(l); n++; });
+    }
+  }
+  if (!n) throw new Error('El archivo no contiene polígonos ni círculos');
+  map.fitBounds(drawnItems.getBounds(), { padding: [30, 30] });
+  renderDrawSelection();
+}
+
+function initDrawSelection() {
+  const panel = document.getElementById('drawPanel');
+  if (!panel) return;
+
+  panel.addEventListener('click', (ev) => {
+    const b = ev.target.closest('button[data-draw]');
+    if (b) startDrawing(b.dataset.draw);
+  });
+
+  map.on('draw:created', (e) => {
+    addDrawnLayer(e.layer);
+    renderDrawSelection();
+  });
+  map.on('draw:drawstop', () => {
+    drawHandler = null;
+    // El clic que cierra la figura también llega al mapa: se libera después
+    setTimeout(() => { if (mapClickTool === 'draw') mapClickTool = null; }, 0);
+  });
+
+  const get = id => document.getElementById(id);
+  if (get('drawClear')) {
+    get('drawClear').addEventListener('click', () => {
+      drawnItems.clearLayers();
+      renderDrawSelection();
+    });
+  }
+  if (get('drawExport')) {
+    get('drawExport').addEventListener('click', async () => {
+      try {
+        await exportRows(drawSelection.map(exportRowOf), get('drawFormat').value, 'seleccion_area');
+        setStatus('');
+      } catch (e) {
+        console.error(e);
+        setStatus(`No se pudo exportar: ${e.message || e}`);
+      }
+    });
+  }
+  if (get('drawSave')) {
+    get('drawSave').addEventListener('click', () => {
+      const gj = JSON.stringify(drawnItemsToGeoJSON());
+      downloadBlob(new Blob([gj], { type: 'application/geo+json' }), exportFileName('areas_dibujadas', 'geojson'));
+    });
+  }
+  if (get('drawLoad')) {
+    get('drawLoad').addEventListener('change', async (ev) => {
+      const file = ev.target.files && ev.target.files[0];
+      ev.target.value = '';
+      if (!file) return;
+      try {
+        loadDrawnGeoJSON(JSON.parse(await file.text()));
+        setStatus('');
+      } catch (e) {
+        console.error(e);
+        setStatus(`No se pudo cargar el área: ${e.message || e}`);
+      }
+    });
+  }
+
+  const res = get('drawResults');
+  if (res) {
+    res.addEventListener('click', (ev) => {
+      const tr = ev.target.closest('tr[data-amie]');
+      const rec = tr && schoolRegistry.byAmie.get(tr.dataset.amie);
+      if (rec) selectSearchResult({ kind: 'school', rec });
+    });
+  }
+
+  renderDrawSelection();
+}
+
+
+// ---------- Capas propias (arrastrar y soltar GeoJSON / TopoJSON / CSV / Shapefile .zip) ----------
+// Cada archivo se convierte en una capa con su checkbox. Si trae AMIE, se une al registro
+// y el popup muestra los datos del visor + los atributos del archivo.
+const SHPJS_LIB_URL = 'https://unpkg.com/shpjs@4.0.4/dist/shp.js';
+const UPLOAD_COLORS = ['#e11d48', '#0891b2', '#65a30d', '#c026d3', '#ea580c', '#4f46e5'];
+const UPLOAD_LON_KEYS = ['Longitud', 'LONGITUD', 'longitud', 'LONGITUD2', 'lon', 'lng', 'x'];
+const UPLOAD_LAT_KEYS = ['Latitud', 'LATITUD', 'latitud', 'LATITUD2', 'lat', 'y'];
+const UPLOAD_MAX_ATTRS = 25;
+
+const uploadedLayers = []; // { id, name, layer, count, joined, color }
+let uploadSeq = 0;
+
+function parseCsvText(text) {
+  const src = text.replace(/^\uFEFF/, '');
+  const firstLine = src.slice(0, src.indexOf('\n') >>> 0);
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';'
+    : (firstLine.includes('\t') ? '\t' : ',');
+
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.some(c => c !== '')) rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some(c => c !== '')) rows.push(row);
+  return rows;
+}
+
+// CSV -> GeoJSON de puntos (columnas Longitud / Latitud)
+function csvToGeoJSON(text) {
+  const [header, ...rows] = parseCsvText(text);
+  if (!header) throw new Error('CSV vacío');
+  const cols = header.map(h => h.trim());
+  const find = keys => cols.findIndex(c => keys.some(k => k.toLowerCase() === c.toLowerCase()));
+  const ix = find(UPLOAD_LON_KEYS);
+  const iy = find(UPLOAD_LAT_KEYS);
+  if (ix < 0 || iy < 0) throw new Error('El CSV no tiene columnas Longitud / Latitud');
+
+  const features = [];
+  for (const r of rows) {
+    const x = r[ix] && r[ix].trim() ? toNumber(r[ix]) : null;
+    const y = r[iy] && r[iy].trim() ? toNumber(r[iy]) : null;
+    if (x === null || y === null) continue;
+    const props = {};
+    cols.forEach((c, i) => { props[c] = r[i] ?? ''; });
+    features.push({ type: 'Feature', properties: props, geometry: { type: 'Point', coordinates: [x, y] } });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+// TopoJSON -> un solo FeatureCollection con todos sus objetos
+function topologyToGeoJSON(topo) {
+  if (!window.topojson) throw new Error('topojson-client no está disponible');
+  const features = [];
+  for (const name of Object.keys(topo.objects || {})) {
+    const fc = topojson.feature(topo, topo.objects[name]);
+    features.push(...(fc.type === 'FeatureCollection' ? fc.features : [fc]));
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+function asFeatureCollection(gj) {
+  if (Array.isArray(gj)) return { type: 'FeatureCollection', features: gj.flatMap(g => asFeatureCollection(g).features) };
+  if (gj.type === 'FeatureCollection') return gj;
+  if (gj.type === 'Feature') return { type: 'FeatureCollection', features: [gj] };
+  if (gj.type === 'Topology') return topologyToGeoJSON(gj);
+  if (gj.type && gj.coordinates) return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: gj }] };
+  throw new Error('No es GeoJSON / TopoJSON válido');
+}
+
+async function readUploadedFile(file) {
+  const ext = (file.name.split('.').pop() || '').toLowerCase();
+  if (ext === 'zip') {
+    await loadScript(SHPJS_LIB_URL);
+    if (!window.shp) throw new Error('No se pudo cargar el lector de Shapefile');
+    // shpjs usa el .prj (con proj4) cuando viene en el zip
+    return asFeatureCollection(await shp(await file.arrayBuffer()));
+  }
+  const text = await file.text();
+  if (ext === 'csv' || ext === 'txt') return csvToGeoJSON(text);
+  if (['geojson', 'json', 'topojson'].includes(ext)) return asFeatureCollection(JSON.parse(text));
+  throw new Error(`Formato no soportado: .${ext} (usa GeoJSON, TopoJSON, CSV o Shapefile .zip)`);
+}
+
+function uploadedAttrsHTML(p) {
+  const rows = Object.entries(p)
+    .filter(([k, v]) => !k.startsWith('__') && v !== null && v !== '')
+    .slice(0, UPLOAD_MAX_ATTRS)
+    .map(([k, v]) => `<div class="pc-row"><div class="pc-k">${esc(k)}</div><div class="pc-v">${esc(v)}</div></div>`)
+    .join('');
+  return rows ? `<div class="pc-sep"></div><div class="sum-title">Atributos del archivo</div>${rows}` : '';
+}
+
+// Popup: con AMIE unido se parte de la ficha del registro; si no, solo el archivo.
+// Los valores del archivo llegan escapados a popupCardHTML (que no escapa).
+function uploadedPopupProps(f) {
+  const p = f.properties || {};
+  const safe = Object.fromEntries(Object.entries(p)
+    .filter(([k]) => !k.startsWith('__'))
+    .map(([k, v]) => [k, typeof v === 'string' ? esc(v) : v]));
+  const amie = getAmie(p);
+  const rec = amie && schoolRegistry.byAmie.get(amie);
+  if (!rec) return { ...safe, __EXTRA_HTML: uploadedAttrsHTML(p) };
+  const base = schoolPopupProps(rec);
+  return { ...safe, ...base, __EXTRA_HTML: (base.__EXTRA_HTML || '') + uploadedAttrsHTML(p) };
+}
+
+function buildUploadedLayer(gj, color) {
+  return L.geoJSON(gj, {
+    pane: 'panePuntos',
+    style: () => ({ color, weight: 2, fillColor: color, fillOpacity: 0.15, pane: 'panePoligonos' }),
+    pointToLayer: (f, latlng) => L.circleMarker(latlng, {
+      pane: 'panePuntos', radius: 5, color: '#fff', weight: 1.2, fillColor: color, fillOpacity: 0.9
+    }),
+    onEachFeature: (f, l) => {
+      l.bindPopup(() => popupCardHTML(uploadedPopupProps(f)), { maxWidth: 360 });
+    }
+  });
+}
+
+function renderUploadList() {
+  const box = document.getElementById('uploadList');
+  if (!box) return;
+  box.innerHTML = uploadedLayers.map(u => `
+    <div class="toggle-row upload-row" data-id="${u.id}">
+      <input type="checkbox" id="${u.id}"${map.hasLayer(u.layer) ? ' checked' : ''}>
+      <label for="${u.id}"><span class="sv-sw" style="background:${u.color};border-color:#fff;"></span>${esc(u.name)}
+        <span class="layer-count">${fmtInt(u.count)}</span></label>
+      <button type="button" class="upload-remove" title="Quitar capa">×</button>
+    </div>
+    ${u.joined ? `<div class="attr-filter-note upload-note">${fmtInt(u.joined)} unidos por AMIE con los datos del visor</div>` : ''}`).join('');
+}
+
+async function addUploadedFile(file) {
+  setStatus(`Leyendo ${file.name}...`);
+  let gj = await readUploadedFile(file);
+  // Coordenadas proyectadas (UTM 17S) -> EPSG:4326
+  gj = _reprojectCantonesIfNeeded(gj);
+  if (!gj.features.length) throw new Error(`${file.name}: sin entidades con geometría`);
+
+  // Unión por AMIE (si el registro no carga, la capa igual se muestra)
+  let joined = 0;
+  if (gj.features.some(f => getAmie(f.properties || {}))) {
+    try {
+      await ensureSchoolRegistry();
+      joined = gj.features.filter(f => schoolRegistry.byAmie.has(getAmie(f.properties || {}))).length;
+    } catch (e) {
+      console.warn('[Capas propias] Sin unión por AMIE:', e);
+    }
+  }
+
+  const color = UPLOAD_COLORS[uploadSeq % UPLOAD_COLORS.length];
+  const u = { id: `tgUpload${++uploadSeq}`, name: file.name, color, count: gj.features.length, joined };
+  u.layer = buildUploadedLayer(gj, color).addTo(map);
+  uploadedLayers.push(u);
+  renderUploadList();
+  try { map.fitBounds(u.layer.getBounds(), { padding: [30, 30], maxZoom: 14 }); } catch (e) { /* sin extensión */ }
+  setStatus('');
+  return u;
+}
+
+async function addUploadedFiles(files) {
+  for (const file of files) {
+    try {
+      await addUploadedFile(file);
+    } catch (e) {
+      console.error(e);
+      setStatus(`No se pudo cargar ${file.name}: ${e.message || e}`);
+    }
+  }
+}
+
+function initUploads() {
+  const input = document.getElementById('uploadInput');
+  const list = document.getElementById('uploadList');
+  const mapEl = map.getContainer();
+
+  if (input) {
+    input.addEventListener('change', () => {
+      const files = [...(input.files || [])];
+      input.value = '';
+      addUploadedFiles(files);
+    });
+  }
+
+  // Arrastrar y soltar sobre el mapa
+  let depth = 0;
+  mapEl.addEventListener('dragenter', (ev) => { ev.preventDefault(); depth++; mapEl.classList.add('map-dropping'); });
+  mapEl.addEventListener('dragover', (ev) => { ev.preventDefault(); });
+  mapEl.addEventListener('dragleave', () => { if (--depth <= 0) { depth = 0; mapEl.classList.remove('map-dropping'); } });
+  mapEl.addEventListener('drop', (ev) => {
+    ev.preventDefault();
+    depth = 0;
+    mapEl.classList.remove('map-dropping');
+    const files = [...(ev.dataTransfer?.files || [])];
+    if (files.length) addUploadedFiles(files);
+  });
+
+  if (list) {
+    list.addEventListener('change', (ev) => {
+      const u = uploadedLayers.find(x => x.id === ev.target.id);
+      if (!u) return;
+      if (ev.target.checked) u.layer.addTo(map);
+      else map.removeLayer(u.layer);
+    });
+    list.addEventListener('click', (ev) => {
+      const btn = ev.target.closest('.upload-remove');
+      if (!btn) return;
+      const i = uploadedLayers.findIndex(x => x.id === btn.closest('.upload-row').dataset.id);
+      if (i < 0) return;
+      map.removeLayer(uploadedLayers[i].layer);
+      uploadedLayers.splice(i, 1);
+      renderUploadList();
+    });
+  }
+}
+
+
+// ---------- Drill-down Provincia / Cantón ----------
+// Clic en una provincia (o en un cantón NBI): zoom, se oscurece el resto del país y se
+// abre el panel con el resumen del área. Las migas de pan permiten volver al nivel nacional.
+const NATIONAL_VIEW = { center: [-1.5, -78.5], zoom: 6 };
+
+const drillState = { provincia: null, canton: null }; // features GeoJSON
+let drillMask = null;
+
+map.createPane('paneMask');
+map.getPane('paneMask').style.zIndex = 360;
+map.getPane('paneMask').style.pointerEvents = 'none';
+
+function provinciaName(feat) {
+  const p = feat?.properties || {};
+  return getProp(p, ['DPA_DESPRO', 'dpa_despro', 'NOMBRE', 'nombre']) || 'Provincia';
+}
+
+function findProvinciaFeature(name) {
+  const key = normText(name);
+  return (provinciasData?.features || []).find(f => normText(provinciaName(f)) === key) || null;
+}
+
+// Rectángulo del mundo con un "hueco" por cada parte del área seleccionada
+function setDrillMask(geometry) {
+  if (drillMask) map.removeLayer(drillMask);
+  drillMask = null;
+  if (!geometry) return;
+
+  const world = [[-90, -360], [-90, 360], [90, 360], [90, -360]];
+  const polys = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const holes = polys.map(rings => rings[0].map(([x, y]) => [y, x]));
+
+  drillMask = L.polygon([world, ...holes], {
+    pane: 'paneMask',
+    interactive: false,
+    stroke: false,
+    fillColor: '#0b1b2a',
+    fillOpacity: 0.55
+  }).addTo(map);
+}
+
+function renderDrillCrumbs() {
+  const nav = document.getElementById('drillCrumbs');
+  if (!nav) return;
+  const crumbs = [`<a href="#" data-level="pais">Ecuador</a>`];
+  if (drillState.provincia) {
+    crumbs.push(drillState.canton
+      ? `<a href="#" data-level="provincia">${provinciaName(drillState.provincia)}</a>`
+      : `<span>${provinciaName(drillState.provincia)}</span>`);
+  }
+  if (drillState.canton) {
+    crumbs.push(`<span>${getProp(drillState.canton.properties, ['DPA_DESCAN', 'CANTON']) || 'Cantón'}</span>`);
+  }
+  nav.innerHTML = crumbs.join('<span class="crumb-sep">›</span>');
+}
+
+async function openDrillPanel(title, geometry) {
+  const panel = document.getElementById('drillPanel');
+  const body = document.getElementById('drillBody');
+  if (!panel || !body) return;
+
+  panel.hidden = false;
+  renderDrillCrumbs();
+  body.innerHTML = `<div class="drill-title">${title}</div><div class="pc-empty">Calculando…</div>`;
+
+  try {
+    await ensureSchoolRegistry();
+  } catch (e) {
+    console.error(e);
+    body.innerHTML = `<div class="drill-title">${title}</div><div class="pc-empty">${String(e.message || e)}</div>`;
+    return;
+  }
+  // Si el usuario cambió de área mientras cargaba, no pisar el panel
+  const current = drillState.canton || drillState.provincia;
+  if (!current || current.geometry !== geometry) return;
+
+  const sum = summarizeSchools(schoolsInGeometry(geometry));
+  body.innerHTML = `<div class="drill-title">${title}</div>${summaryHTML(sum)}`;
+}
+
+function fitGeometry(geometry) {
+  const b = geometryBBox(geometry);
+  map.fitBounds([[b[1], b[0]], [b[3], b[2]]], { padding: [20, 20] });
+}
+
+function drillToProvincia(feat) {
+  if (!feat) return;
+  drillState.provincia = feat;
+  drillState.canton = null;
+  fitGeometry(feat.geometry);
+  setDrillMask(feat.geometry);
+  openDrillPanel(`Provincia: ${provinciaName(feat)}`, feat.geometry);
+}
+
+function drillToCanton(feat) {
+  if (!feat) return;
+  const p = feat.properties || {};
+  drillState.provincia = findProvinciaFeature(getProp(p, ['DPA_DESPRO'])) || drillState.provincia;
+  drillState.canton = feat;
+  fitGeometry(feat.geometry);
+  setDrillMask(feat.geometry);
+  openDrillPanel(`Cantón: ${getProp(p, ['DPA_DESCAN', 'CANTON']) || ''}`, feat.geometry);
+}
+
+function drillToNational() {
+  drillState.provincia = null;
+  drillState.canton = null;
+  setDrillMask(null);
+  const panel = document.getElementById('drillPanel');
+  if (panel) panel.hidden = true;
+  map.setView(NATIONAL_VIEW.center, NATIONAL_VIEW.zoom);
+}
+
+function initDrillDown() {
+  const nav = document.getElementById('drillCrumbs');
+  const btnClose = document.getElementById('drillClose');
+  if (nav) {
+    nav.addEventListener('click', (ev) => {
+      const a = ev.target.closest('a[data-level]');
+      if (!a) return;
+      ev.preventDefault();
+      if (a.dataset.level === 'pais') drillToNational();
+      else if (a.dataset.level === 'provincia') drillToProvincia(drillState.provincia);
+    });
+  }
+  if (btnClose) btnClose.addEventListener('click', drillToNational);
+}
+
+
+// ---------- Exportar lo visible (CSV / XLSX / GeoJSON, todo en el navegador) ----------
+// "Visible" = capas encendidas + sub-toggles (Estado, Sí/No) + filtros por atributo
+// (todo eso ya lo resuelve renderSchools) y, además, dentro de la extensión actual del mapa.
+const XLSX_LIB_URL = 'https://unpkg.com/xlsx@0.18.5/dist/xlsx.full.min.js';
+
+const EXPORT_COLUMNS = [
+  'AMIE',
+  'NOMBRE',
+  ...POPUP_FIELDS.map(([label]) => label),
+  ...POPUP_SERVICE_FIELDS.map(([label]) => label),
+  'LONGITUD',
+  'LATITUD'
+];
+
+// Fila con las mismas etiquetas que usa popupCardHTML
+function exportRowOf(rec) {
+  const p = schoolPopupProps(rec);
+  const row = { AMIE: popupAmie(p), NOMBRE: popupTitle(p) };
+  for (const [label, keys] of POPUP_FIELDS) {
+    const v = popupFieldValue(p, label, keys);
+    row[label] = v === null ? '' : v;
+  }
+  for (const [label, keys] of POPUP_SERVICE_FIELDS) {
+    const v = getProp(p, keys);
+    row[label] = v === null ? '' : v;
+  }
+  row.LONGITUD = rec.latlng.lng;
+  row.LATITUD = rec.latlng.lat;
+  return row;
+}
+
+function visibleSchoolRecords(bounds) {
+  const b = bounds || map.getBounds();
+  const out = [];
+  if (!map.hasLayer(schoolsLayer)) return out;
+  eachSchoolMarker((m) => {
+    const rec = m.schoolRecord;
+    if (rec && b.contains(rec.latlng)) out.push(rec);
+  });
+  return out;
+}
+
+// Texto que Excel / LibreOffice tomarían como fórmula (=, +, -, @, tabulador o retorno al
+// inicio): se antepone ' para que quede como texto. Los números (p.ej. "-2,5") no se tocan.
+function spreadsheetSafe(v) {
+  if (typeof v !== 'string' || !/^[=+\-@\t\r]/.test(v)) return v;
+  return /^[+-]?\d+(?:[.,]\d+)?$/.test(v.trim()) ? v : `'${v}`;
+}
+
+function csvCell(v) {
+  const s = String(spreadsheetSafe(v) ?? '');
+  return /[;"\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Separador ";" + BOM: Excel en español abre el archivo con tildes y columnas correctas
+function rowsToCsv(rows, columns) {
+  const lines = [columns.map(csvCell).join(';')];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c])).join(';'));
+  return '\ufeff' + lines.join('\r\n');
+}
+
+function rowsToGeoJSON(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.map(r => ({
+      type: 'Feature',
+      properties: r,
+      geometry: { type: 'Point', coordinates: [r.LONGITUD, r.LATITUD] }
+    }))
+  };
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFileName(base, ext) {
+  const d = new Date().toISOString().slice(0, 10);
+  return `${base}_${d}.${ext}`;
+}
+
+async function exportRows(rows, format, base, columns = EXPORT_COLUMNS) {
+  if (format === 'csv') {
+    downloadBlob(new Blob([rowsToCsv(rows, columns)], { type: 'text/csv;charset=utf-8' }), exportFileName(base, 'csv'));
+  } else if (format === 'geojson') {
+    const gj = JSON.stringify(rowsToGeoJSON(rows));
+    downloadBlob(new Blob([gj], { type: 'application/geo+json' }), exportFileName(base, 'geojson'));
+  } else if (format === 'xlsx') {
+    await loadScript(XLSX_LIB_URL);
+    const safe = rows.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, spreadsheetSafe(v)])));
+    const ws = XLSX.utils.json_to_sheet(safe, { header: columns });
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Instituciones');
+    XLSX.writeFile(wb, exportFileName(base, 'xlsx'));
+  } else {
+    throw new Error(`Formato no soportado: ${format}`);
+  }
+}
+
+function initExport() {
+  const btn = document.getElementById('exportBtn');
+  const sel = document.getElementById('exportFormat');
+  if (!btn || !sel) return;
+
+  btn.addEventListener('click', async () => {
+    const recs = visibleSchoolRecords();
+    if (!recs.length) {
+      setStatus('No hay instituciones visibles para exportar');
+      return;
+    }
+    try {
+      setStatus(`Exportando ${fmtInt(recs.length)}...`);
+      await exportRows(recs.map(exportRowOf), sel.value, 'instituciones_visibles');
+      setStatus('');
+    } catch (e) {
+      console.error(e);
+      setStatus(String(e.message || e));
+    }
+  });
+}
+
+
+// ---------- Permalink (vista, base, capas, filtros e institución en el hash) ----------
+// Ejemplo: #map=9/-0.2200/-78.5000&base=satelite&capas=tgProv,tgViol&f=zona:8,regimen:COSTA&amie=17H00581
+const BASEMAP_CODES = { 'Mapa': 'mapa', 'Satélite': 'satelite', 'Híbrido': 'hibrido' };
+// Mapa base de OFFLINE_TILES (config.js), si está configurado
+if (OFFLINE_BASE_NAME) BASEMAP_CODES[OFFLINE_BASE_NAME] = 'sinconexion';
+
+let selectedAmie = null;
+let permalinkRestoring = false;
+let permalinkLastHash = '';
+let permalinkTimer = null;
+
+function permalinkCheckboxIds() {
+  return [...new Set([
+    'tgProv', 'tgNbi', 'tgCluster',
+    ...SCHOOL_FILTERS.map(f => f.checkbox),
+    ...layerCatalog.filter(l => !l.builtin).map(catalogCheckboxId)
+  ])];
+}
+
+function buildPermalinkHash() {
+  const c = map.getCenter();
+  const parts = [
+    `map=${map.getZoom()}/${c.lat.toFixed(4)}/${c.lng.toFixed(4)}`,
+    `base=${BASEMAP_CODES[currentBaseName] || 'mapa'}`,
+    `capas=${permalinkCheckboxIds().filter(isChecked).join(',')}`
+  ];
+  const f = ATTR_FILTERS
+    .filter(d => attrFilterState[d.id])
+    .map(d => `${d.id}:${encodeURIComponent(attrFilterState[d.id])}`);
+  if (f.length) parts.push(`f=${f.join(',')}`);
+  const vt = selectedViolenceTypes();
+  if (vt.length !== VIOLENCE_TYPES.length) {
+    parts.push(`vt=${vt.map(t => encodeURIComponent(t.id)).join(',')}`);
+  }
+  // Estados de la Zona de Atención Prioritaria desmarcados (los valores salen de los datos)
+  if (priorEstados.hidden.size) {
+    parts.push(`pe=${[...priorEstados.hidden].map(k => encodeURIComponent(k === PRIOR_OTROS ? 'otros' : k)).join(',')}`);
+  }
+  if (timeState.date) parts.push(`t=${encodeURIComponent(timeState.date)}`);
+  if (timeState.diffFrom) parts.push(`diff=${encodeURIComponent(timeState.diffFrom)}`);
+  if (violView.mode === 'heat') parts.push(`viol=heat:${violView.radiusKm}`);
+  if (otrasView.mode !== 'bubbles' || otrasView.nationality !== 'total') {
+    parts.push(`nac=${otrasView.mode}:${encodeURIComponent(otrasView.nationality)}`);
+  }
+  if (selectedAmie) parts.push(`amie=${encodeURIComponent(selectedAmie)}`);
+  return '#' + parts.join('&');
+}
+
+function parsePermalinkHash(hash) {
+  const out = {};
+  const h = String(hash || '').replace(/^#/, '');
+  if (!h) return null;
+  for (const kv of h.split('&')) {
+    const i = kv.indexOf('=');
+    if (i < 0) continue;
+    out[kv.slice(0, i)] = kv.slice(i + 1);
+  }
+
+  const st = {};
+  if (out.map) {
+    const [z, lat, lng] = out.map.split('/').map(Number);
+    if ([z, lat, lng].every(Number.isFinite)) st.view = { zoom: z, center: [lat, lng] };
+  }
+  if (out.base) {
+    st.base = Object.keys(BASEMAP_CODES).find(k => BASEMAP_CODES[k] === out.base) || null;
+  }
+  if (out.capas !== undefined) st.capas = out.capas.split(',').filter(Boolean);
+  if (out.f) {
+    st.filters = {};
+    for (const item of out.f.split(',')) {
+      const j = item.indexOf(':');
+      if (j > 0) st.filters[item.slice(0, j)] = decodeURIComponent(item.slice(j + 1));
+    }
+  }
+  if (out.vt !== undefined) st.violenceTypes = out.vt.split(',').filter(Boolean).map(decodeURIComponent);
+  if (out.pe !== undefined) {
+    st.priorHidden = out.pe.split(',').filter(Boolean).map(k => (k === 'otros' ? PRIOR_OTROS : decodeURIComponent(k).toUpperCase()));
+  } else if (st.capas && st.capas.includes('tgPrior')) {
+    // Enlaces anteriores: sub-toggles fijos (tgPriorBueno / tgPriorDeterioro / tgPriorMalo) en "capas"
+    const legacy = { BUENO: 'tgPriorBueno', DETERIORO: 'tgPriorDeterioro', MALO: 'tgPriorMalo' };
+    if (Object.values(legacy).some(id => st.capas.includes(id))) {
+      st.priorHidden = Object.keys(legacy).filter(k => !st.capas.includes(legacy[k]));
+    }
+  }
+  if (out.viol) {
+    const [mode, km] = out.viol.split(':');
+    st.viol = { mode, radiusKm: Number(km) };
+  }
+  if (out.nac) {
+    const [mode, nat] = out.nac.split(':');
+    st.otras = { mode, nationality: decodeURIComponent(nat || 'total') };
+  }
+  if (out.t) st.time = decodeURIComponent(out.t);
+  if (out.diff) st.diffFrom = decodeURIComponent(out.diff);
+  if (out.amie) st.amie = decodeURIComponent(out.amie).toUpperCase();
+  return st;
+}
+
+function writePermalink() {
+  if (permalinkRestoring) return;
+  clearTimeout(permalinkTimer);
+  permalinkTimer = setTimeout(() => {
+    const hash = buildPermalinkHash();
+    if (hash === permalinkLastHash) return;
+    permalinkLastHash = hash;
+    // replaceState: no llena el historial con cada movimiento del mapa
+    history.replaceState(null, '', hash);
+  }, 250);
+}
+
+async function openSchoolByAmie(amie) {
+  await ensureSchoolRegistry();
+  const rec = schoolRegistry.byAmie.get(amie);
+  if (rec) selectSearchResult({ kind: 'school', rec }, { fly: false });
+}
+
+// dispatch=true cuando la app ya está armada (hashchange): dispara los "change"
+function applyPermalinkState(st, dispatch) {
+  if (!st) return;
+  permalinkRestoring = true;
+  try {
+    if (st.view) map.setView(st.view.center, st.view.zoom);
+    if (st.base) setBasemap(st.base);
+
+    if (st.filters) {
+      ATTR_FILTERS.forEach(d => { attrFilterState[d.id] = st.filters[d.id] || ''; });
+    }
+
+    if (st.capas) {
+      const on = new Set(st.capas);
+      for (const id of permalinkCheckboxIds()) {
+        const cb = document.getElementById(id);
+        if (!cb || cb.checked === on.has(id)) continue;
+        cb.checked = on.has(id);
+        if (dispatch) cb.dispatchEvent(new Event('change'));
+      }
+    }
+    // Serie temporal: sin "t" = fecha más reciente; sin "diff" = sin comparación.
+    // Al abrir el visor basta con fijar el estado (las capas aún no se cargaron).
+    const time = st.time || null;
+    const diffFrom = st.diffFrom || null;
+    if (!dispatch) {
+      timeState.date = time;
+      timeState.diffFrom = diffFrom;
+    } else if (time !== timeState.date || diffFrom !== timeState.diffFrom) {
+      setTimeDate(time).then(() => { if (diffFrom !== timeState.diffFrom) setTimeDiff(diffFrom); });
+    }
+
+    // Estados de la Zona de Atención Prioritaria: sin "pe" = todos marcados
+    const pe = new Set(st.priorHidden || []);
+    const peChanged = pe.size !== priorEstados.hidden.size || [...pe].some(k => !priorEstados.hidden.has(k));
+    if (peChanged) {
+      priorEstados.hidden = pe;
+      document.querySelectorAll('#priorSubtoggles input[data-prior-estado]').forEach((cb) => {
+        cb.checked = !pe.has(cb.dataset.priorEstado);
+      });
+      if (dispatch && schoolRegistry.ready) {
+        renderSchools();
+        updateLayerCounts();
+      }
+    }
+
+    // Tipos de violencia: sin "vt" en el enlace = todos marcados
+    const vt = new Set(st.violenceTypes || VIOLENCE_TYPES.map(t => t.id));
+    let vtChanged = false;
+    for (const t of VIOLENCE_TYPES) {
+      const cb = document.getElementById(violenceTypeCheckboxId(t));
+      if (!cb || cb.checked === vt.has(t.id)) continue;
+      cb.checked = vt.has(t.id);
+      vtChanged = true;
+    }
+    if (dispatch && vtChanged) {
+      invalidateSchoolMarkers('violencia');
+      if (schoolRegistry.ready) renderSchools();
+    }
+
+    // Violencia: sin "viol" = burbujas
+    const vv = st.viol || { mode: 'bubbles', radiusKm: violView.radiusKm };
+    if (vv.mode !== violView.mode || (vv.radiusKm && vv.radiusKm !== violView.radiusKm)) {
+      setViolenceView(vv.mode, vv.radiusKm);
+    }
+
+    // Otras nacionalidades: sin "nac" = burbujas por total de extranjeros
+    const ov = st.otras || { mode: 'bubbles', nationality: 'total' };
+    if (ov.mode !== otrasView.mode || ov.nationality !== otrasView.nationality) {
+      setOtrasView(ov.mode, ov.nationality);
+    }
+
+    if (dispatch && st.filters) {
+      document.querySelectorAll('#attrFilters select[data-filter]').forEach((sel) => {
+        sel.value = attrFilterState[sel.dataset.filter] || '';
+      });
+      applyAttrFilters();
+    }
+  } finally {
+    permalinkRestoring = false;
+  }
+
+  if (st.amie) {
+    openSchoolByAmie(st.amie).catch(e => console.warn('[Permalink] No se pudo abrir', st.amie, e));
+  }
+}
+
+// Se llama ANTES de enlazar los toggles: los checkboxes ya quedan marcados y
+// toggleLayer / initSchoolToggles cargan lo necesario como en una carga normal.
+function restorePermalink() {
+  const st = parsePermalinkHash(location.hash);
+  permalinkLastHash = location.hash;
+  applyPermalinkState(st, false);
+}
+
+function initPermalink() {
+  map.on('moveend', writePermalink);
+  map.on('baselayerchange', writePermalink);
+
+  map.on('popupopen', (e) => {
+    // Marcador del registro o popup abierto desde la búsqueda (options.schoolAmie)
+    const amie = e.popup?._source?.schoolRecord?.amie || e.popup?.options?.schoolAmie;
+    if (amie) {
+      selectedAmie = amie;
+      writePermalink();
+    }
+  });
+  map.on('popupclose', () => {
+    if (!selectedAmie) return;
+    selectedAmie = null;
+    writePermalink();
+  });
+
+  const ids = new Set(permalinkCheckboxIds());
+  document.addEventListener('change', (ev) => {
+    const t = ev.target;
+    if (t && (ids.has(t.id) || t.matches?.('select[data-filter], input[data-viol-type], input[data-prior-estado], #otrasOptions select, #violOptions select, #violOptions input'))) writePermalink();
+  });
+
+  // Pegar otro enlace en la misma pestaña
+  window.addEventListener('hashchange', () => {
+    if (location.hash === permalinkLastHash) return;
+    permalinkLastHash = location.hash;
+    applyPermalinkState(parsePermalinkHash(location.hash), true);
+  });
+}
+
+
+// ---------- Impresión: diseño A4/A3 horizontal con leyenda, escala y fuente (PDF / PNG) ----------
+const HTML2CANVAS_LIB_URL = 'https://unpkg.com/html2canvas@1.4.1/dist/html2canvas.min.js';
+const JSPDF_LIB_URL = 'https://unpkg.com/jspdf@2.5.1/dist/jspdf.umd.min.js';
+
+// Tamaño de página (mm) y del diseño en pantalla (px, ~96 dpi)
+const PRINT_PAGES = {
+  a4: { mm: [297, 210], px: [1123, 794] },
+  a3: { mm: [420, 297], px: [1587, 1123] }
+};
+
+const PRINT_SOURCE_TEXT = 'Fuente: Dirección de Análisis y Estudios de Información';
+
+const NORTH_ARROW_SVG = `
+<svg width="34" height="46" viewBox="0 0 34 46" aria-hidden="true">
+  <polygon points="17,2 30,38 17,30 4,38" fill="#111" />
+  <polygon points="17,2 17,30 4,38" fill="#fff" stroke="#111" stroke-width="1.2" />
+  <text x="17" y="46" text-anchor="middle" font-size="11" font-weight="700" font-family="Inter, Arial">N</text>
+</svg>`;
+
+// Leyenda solo con las capas encendidas (mismos bloques que la leyenda del mapa)
+function activeLegendHTML() {
+  const blocks = legendBlocks().map(b => (b.title ? `<div class="pl-lh">${b.title}</div>` : '') +
+    b.items.map(it => `<div class="pl-li">${legendSymbolHTML(it)}<span>${it.label}</span></div>`).join(''));
+  return blocks.length ? blocks.join('') : '<div class="pl-li">Sin capas activas</div>';
+}
+
+// Escala "redonda" (1, 2, 5 × 10^n) para una barra de ~maxPx píxeles
+function niceScale(metersPerPx, maxPx = 120) {
+  const maxM = metersPerPx * maxPx;
+  const pow = Math.pow(10, Math.floor(Math.log10(maxM)));
+  const d = maxM / pow;
+  const nice = (d >= 5 ? 5 : d >= 2 ? 2 : 1) * pow;
+  return {
+    px: Math.round(nice / metersPerPx),
+    label: nice >= 1000 ? `${(nice / 1000).toLocaleString('es-EC')} km` : `${nice} m`
+  };
+}
+
+function mapMetersPerPixel() {
+  const size = map.getSize();
+  const y = size.y / 2;
+  const a = map.containerPointToLatLng([0, y]);
+  const b = map.containerPointToLatLng([100, y]);
+  return map.distance(a, b) / 100;
+}
+
+async function captureMapImage() {
+  await loadScript(HTML2CANVAS_LIB_URL);
+  const el = document.getElementById('map');
+  const canvas = await html2canvas(el, {
+    useCORS: true,
+    backgroundColor: null,
+    logging: false,
+    // Los controles (zoom, capas) no van en la impresión; la atribución sí
+    ignoreElements: (node) => node.classList && (
+      node.classList.contains('leaflet-control-zoom') ||
+      node.classList.contains('leaflet-control-layers')
+    )
+  });
+  return { url: canvas.toDataURL('image/png'), width: el.clientWidth, height: el.clientHeight };
+}
+
+const printState = { page: 'a4', mapImg: null };
+
+function renderPrintLayout() {
+  const layout = document.getElementById('printLayout');
+  if (!layout) return;
+  const page = PRINT_PAGES[printState.page];
+  const titleInput = document.getElementById('printTitle');
+  const title = (titleInput && titleInput.value.trim()) || 'Mapa';
+  const fecha = new Date().toLocaleDateString('es-EC', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  layout.style.width = `${page.px[0]}px`;
+  layout.style.height = `${page.px[1]}px`;
+  layout.innerHTML = `
+    <div class="pl-head">
+      <img src="logo.png" alt="MINEDEC" class="pl-logo">
+      <div class="pl-title">${esc(title)}</div>
+    </div>
+    <div class="pl-main">
+      <div class="pl-map">${printState.mapImg ? `<img src="${printState.mapImg.url}" alt="Mapa">` : '<div class="pl-wait">Generando mapa…</div>'}</div>
+      <div class="pl-side">
+        <div class="pl-north">${NORTH_ARROW_SVG}</div>
+        <div class="pl-legend"><div class="pl-lt">Leyenda</div>${activeLegendHTML()}</div>
+        <div class="pl-scale" id="printScale"></div>
+      </div>
+    </div>
+    <div class="pl-foot">
+      <span>${PRINT_SOURCE_TEXT}</span>
+      <span>© DAEI – MINEDEC · ${fecha}</span>
+    </div>`;
+
+  // Escala: depende del tamaño con el que la imagen quedó dentro del recuadro
+  const img = layout.querySelector('.pl-map img');
+  const placeScale = () => {
+    const box = document.getElementById('printScale');
+    if (!box || !printState.mapImg || !img) return;
+    const shown = Math.min(img.clientWidth / printState.mapImg.width, img.clientHeight / printState.mapImg.height) || 1;
+    const sc = niceScale(printState.mapPx / shown);
+    box.innerHTML = `<div class="pl-scalebar" style="width:${sc.px}px"></div><div class="pl-scalelbl">${sc.label}</div>`;
+  };
+  if (img) {
+    if (img.complete) placeScale();
+    else img.addEventListener('load', placeScale, { once: true });
+  }
+}
+
+async function openPrintModal() {
+  const modal = document.getElementById('printModal');
+  if (!modal) return;
+  const titleInput = document.getElementById('printTitle');
+  if (titleInput && !titleInput.value) {
+    const t = document.querySelector('.map-title');
+    titleInput.value = t ? t.textContent.trim() : '';
+  }
+  modal.hidden = false;
+  printState.mapImg = null;
+  printState.mapPx = mapMetersPerPixel();
+  renderPrintLayout();
+  try {
+    printState.mapImg = await captureMapImage();
+  } catch (e) {
+    console.error(e);
+    setStatus(String(e.message || e));
+  }
+  renderPrintLayout();
+}
+
+async function exportPrintLayout(format) {
+  const layout = document.getElementById('printLayout');
+  if (!layout || !printState.mapImg) return;
+  await loadScript(HTML2CANVAS_LIB_URL);
+  const canvas = await html2canvas(layout, { scale: 2, useCORS: true, backgroundColor: '#ffffff', logging: false });
+  const base = 'mapa_' + printState.page;
+
+  if (format === 'png') {
+    canvas.toBlob((blob) => downloadBlob(blob, exportFileName(base, 'png')), 'image/png');
+    return;
+  }
+  await loadScript(JSPDF_LIB_URL);
+  const { jsPDF } = window.jspdf;
+  const mm = PRINT_PAGES[printState.page].mm;
+  const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: printState.page });
+  pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, mm[0], mm[1]);
+  pdf.save(exportFileName(base, 'pdf'));
+}
+
+function initPrint() {
+  const btnOpen = document.getElementById('printBtn');
+  const modal = document.getElementById('printModal');
+  if (!btnOpen || !modal) return;
+
+  btnOpen.addEventListener('click', openPrintModal);
+  document.getElementById('printClose')?.addEventListener('click', () => { modal.hidden = true; });
+  document.getElementById('printTitle')?.addEventListener('input', renderPrintLayout);
+  document.getElementById('printPage')?.addEventListener('change', (ev) => {
+    printState.page = ev.target.value;
+    renderPrintLayout();
+  });
+  document.getElementById('printDo')?.addEventListener('click', async () => {
+    const fmt = document.getElementById('printFormat')?.value || 'pdf';
+    try {
+      setStatus('Generando impresión...');
+      await exportPrintLayout(fmt);
+      setStatus('');
+    } catch (e) {
+      console.error(e);
+      setStatus(String(e.message || e));
+    }
+  });
+}
+
+
+// ---------- Leyendas generadas (barra lateral, mapa e impresión) ----------
+// Nada se escribe a mano: cada capa arma sus ítems llamando a la MISMA función de simbología
+// que dibuja el mapa (con un valor representativo por clase), así que tamaños, colores y
+// rangos coinciden siempre. Se recalculan al cambiar capas, modos o clasificaciones.
+// Ítem: { label, style } círculo (opciones de circleMarker) | { label, fill, border } polígono
+//       | { label, icon } (HTML del divIcon) | { label, ramp } (degradado CSS)
+let legendControl = null;
+
+function filterWeight(id) {
+  return SCHOOL_FILTERS.find(f => f.id === id)?.weight;
+}
+
+const LEGEND_LAYERS = [
+  {
+    id: 'provincias', active: () => isChecked('tgProv'),
+    title: () => catalogLayer('provincias')?.title || 'Provincias',
+    items: () => catalogLegendItems(catalogLayer('provincias') || {})
+  },
+  {
+    id: 'cantonesNbi', active: () => isChecked('tgNbi'), sidebar: () => 'legendNbi',
+    title: () => {
+      const field = NBI_FIELDS.find(f => f.id === nbiThematic.field);
+      if (nbiThematic.indice) return 'Cantones con NBI &gt; 50% (índice de prioridad promedio, 0–100)';
+      return nbiThematic.enabled ? `Cantones con NBI &gt; 50% (${field ? field.label : nbiThematic.field})` : 'Cantones con NBI &gt; 50%';
+    },
+    items: () => nbiLegendItems()
+  },
+  {
+    id: 'indice', active: () => isChecked('tgIndice'), sidebar: () => 'legendIndice',
+    title: () => 'Índice compuesto de prioridad (0–100)',
+    items: () => {
+      let prev = 0;
+      return PRIORITY_CLASSES.map((c) => {
+        const it = { label: `${prev} – ${c.max}`, style: pointSymbolStyle(symbolPriorityIndex({ total: c.max }), filterWeight('indice')) };
+        prev = c.max;
+        return it;
+      });
+    }
+  },
+  {
+    id: 'prior', active: () => isChecked('tgPrior'), sidebar: () => 'legendPrior',
+    title: () => catalogLayer('priorizacionZona')?.title || 'Zona de Atención Prioritaria',
+    items: () => priorEstados.keys
+      .filter(isPriorEstadoVisible)
+      .map(k => ({ label: priorEstadoLabel(k), style: pointSymbolStyle(priorEstadoSymbol(k), filterWeight('prior')) }))
+  },
+  {
+    id: 'violencia', active: () => isChecked('tgViol'),
+    sidebar: () => (violView.mode === 'heat' ? 'legendViolHeat' : 'legendViol'),
+    containers: ['legendViol', 'legendViolHeat'],
+    title: () => (violView.mode === 'heat'
+      ? `Densidad de casos de violencia (radio ${violView.radiusKm} km)`
+      : catalogLayer('violencia')?.legend?.title || 'Total casos de violencia'),
+    items: () => {
+      if (violView.mode === 'heat') {
+        return [{ label: 'Baja → Alta', ramp: HEAT_RAMP.map(([t, r, g, b]) => `rgb(${r},${g},${b}) ${t * 100}%`).join(',') }];
+      }
+      const its = catalogLegendItems(catalogLayer('violencia') || {}, symbolViolenciaValue, filterWeight('violencia'));
+      if (selectedViolenceTypes().length !== VIOLENCE_TYPES.length) {
+        its.push({ label: 'Sin desglose por tipo', style: pointSymbolStyle(symbolViolenciaValue(undefined), filterWeight('violencia')) });
+      }
+      return its;
+    }
+  },
+  {
+    id: 'otras', active: () => isChecked('tgOtras'),
+    sidebar: () => (otrasView.mode === 'pie' ? 'legendOtrasPie' : 'legendOtras'),
+    containers: ['legendOtras', 'legendOtrasPie'],
+    title: () => {
+      if (otrasView.mode === 'pie') return 'Estudiantes extranjeros por nacionalidad';
+      const n = NATIONALITIES.find(x => x.id === otrasView.nationality);
+      return n ? `Estudiantes de nacionalidad ${n.label.toLowerCase()}` : (catalogLayer('otrasNacionalidades')?.legend?.title || 'Estudiantes otras nacionalidades');
+    },
+    note: () => (otrasView.mode === 'pie' ? 'Tamaño según total de extranjeros. Sin desglose: burbuja.' : ''),
+    items: () => (otrasView.mode === 'pie'
+      ? NATIONALITIES.filter(n => n.foreign).map(n => ({ label: n.label, style: pointSymbolStyle({ radius: 6, fill: n.color, stroke: '#fff', weight: 1, fillOpacity: 1 }) }))
+      : catalogLegendItems(catalogLayer('otrasNacionalidades') || {}, symbolOtrasValue, filterWeight('otras')))
+  },
+  {
+    id: 'ieNo', active: () => isChecked('tgIENo'), sidebar: () => 'legendIENo',
+    title: () => catalogLayer('ieNoAtendidas')?.title || 'Sostenimientos fiscales sin atención',
+    items: () => catalogLegendItems(catalogLayer('ieNoAtendidas') || {}, () => SCHOOL_FILTERS.find(f => f.id === 'ieNo').symbol(), filterWeight('ieNo'))
+  },
+  {
+    id: 'servicios', sidebar: () => 'legendServicios',
+    active: () => SCHOOL_FILTERS.some(f => f.cluster === 'servicios' && isChecked(f.checkbox)),
+    title: () => 'Servicios básicos',
+    items: () => SCHOOL_FILTERS
+      .filter(f => f.cluster === 'servicios' && isChecked(f.checkbox))
+      .map((f) => {
+        const icon = f.icon && f.icon({}, null);
+        return icon ? { label: f.label, icon: icon.options.html } : { label: f.label, style: pointSymbolStyle(f.symbol({}, null) || {}, f.weight) };
+      })
+  },
+  {
+    id: 'cambios', active: () => !!(timeState.diffFrom && timeDiff), sidebar: () => 'legendDiff',
+    title: () => `Cambios ${timeDiff.from} → ${timeDiff.to}`,
+    items: () => TIME_DIFF_KINDS
+      .filter(k => !timeDiffHidden.has(k.id))
+      .map(k => ({ label: k.label, style: timeDiffStyle(k) }))
+  }
+];
+
+// Definiciones activas: las fijas + una por cada capa genérica del catálogo
+function legendLayers() {
+  return [
+    ...LEGEND_LAYERS,
+    ...layerCatalog.filter(l => !l.builtin).map(entry => ({
+      id: entry.id,
+      active: () => isChecked(catalogCheckboxId(entry)),
+      sidebar: () => catalogLegendId(entry),
+      title: () => entry.legend?.title ?? entry.title,
+      items: () => catalogLegendItems(entry)
+    }))
+  ];
+}
+
+// Bloques de las capas encendidas; un único ítem con el mismo rótulo que la capa va sin título
+function legendBlocks() {
+  return legendLayers()
+    .filter(d => d.active())
+    .map((d) => {
+      const title = d.title();
+      const items = d.items();
+      const single = items.length === 1 && items[0].label === title;
+      return { id: d.id, title: single ? '' : title, note: d.note ? d.note() : '', items };
+    })
+    .filter(b => b.items.length);
+}
+
+function legendSymbolHTML(it) {
+  if (it.icon) return `<span class="lg-sym lg-icon">${it.icon}</span>`;
+  if (it.ramp) return `<span class="lg-sym"><span class="lg-ramp" style="background:linear-gradient(to right,${it.ramp})"></span></span>`;
+  if (it.style) {
+    const s = it.style;
+    const d = Math.max(4, Math.round(2 * s.radius + s.weight));
+    return `<span class="lg-sym"><span class="lg-circle" style="width:${d}px;height:${d}px;border:${s.weight}px solid ${s.color};"><i style="background:${s.fillColor};opacity:${s.fillOpacity}"></i></span></span>`;
+  }
+  if (it.line) return `<span class="lg-sym"><span class="lg-line" style="border-top-color:${it.border}"></span></span>`;
+  return `<span class="lg-sym"><span class="lg-poly" style="border:1px ${it.dashed ? 'dashed' : 'solid'} ${it.border || '#111'};"><i style="background:${it.fill || 'transparent'};opacity:${it.fillOpacity ?? 1}"></i></span></span>`;
+}
+
+function legendRowsHTML(items) {
+  return items.map(it => `
+    <div class="bl-row">${legendSymbolHTML(it)}<span class="bl-label">${it.label}</span></div>`).join('');
+}
+
+const LegendControl = L.Control.extend({
+  options: { position: 'bottomleft' },
+  onAdd() {
+    const div = L.DomUtil.create('div', 'map-legend');
+    div.innerHTML = '<button type="button" class="ml-toggle" title="Mostrar / ocultar leyenda">Leyenda</button><div class="ml-body"></div>';
+    div.querySelector('.ml-toggle').addEventListener('click', () => div.classList.toggle('collapsed'));
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  }
+});
+
+// Rellena las leyendas de la barra lateral (y su visibilidad) y la leyenda flotante del mapa
+function refreshLegends() {
+  for (const d of legendLayers()) {
+    const on = d.active();
+    const current = d.sidebar ? d.sidebar() : null;
+    for (const id of d.containers || [current]) {
+      const el = id && document.getElementById(id);
+      if (!el) continue;
+      const show = on && id === current;
+      el.style.display = show ? 'block' : 'none';
+      if (!show) continue;
+      const note = d.note ? d.note() : '';
+      el.innerHTML = `<div class="bl-sub">${d.title()}</div>${legendRowsHTML(d.items())}` +
+        (note ? `<div class="attr-filter-note">${note}</div>` : '');
+    }
+  }
+
+  if (!legendControl) legendControl = new LegendControl().addTo(map);
+  const box = legendControl.getContainer();
+  const blocks = legendBlocks();
+  box.style.display = blocks.length ? '' : 'none';
+  box.querySelector('.ml-body').innerHTML = blocks.map(b => `
+    <div class="ml-block">
+      ${b.title ? `<div class="ml-title">${b.title}</div>` : ''}
+      ${legendRowsHTML(b.items)}
+      ${b.note ? `<div class="attr-filter-note">${b.note}</div>` : ''}
+    </div>`).join('');
+}
+
+// ---------- Capas del catálogo: barra lateral, leyendas y capas genéricas ----------
+function catalogToggleRowHTML(entry) {
+  const id = catalogCheckboxId(entry);
+  return `<div class="toggle-row">
+    <input type="checkbox" id="${id}"${entry.visible ? ' checked' : ''}>
+    <label for="${id}">${entry.title || entry.id}</label>
+  </div>`;
+}
+
+// Reemplaza los marcadores data-catalog-slot de index.html por su fila (checkbox) y
+// agrega las capas sin "builtin" al grupo "Indicadores adicionales" (con su leyenda)
+function buildCatalogSidebar() {
+  for (const slot of [...document.querySelectorAll('[data-catalog-slot]')]) {
+    const entry = catalogLayer(slot.dataset.catalogSlot);
+    if (entry && entry.checkbox) slot.outerHTML = catalogToggleRowHTML(entry);
+    else slot.remove();
+  }
+
+  const group = document.getElementById('catalogLayers');
+  if (!group) return;
+  const extra = layerCatalog.filter(l => !l.builtin);
+  group.insertAdjacentHTML('beforeend', extra.map(entry => `
+    ${catalogToggleRowHTML(entry)}
+    <div id="legendCat_${entry.id}" class="bubble-legend" style="display:${entry.visible ? 'block' : 'none'};"></div>`).join(''));
+  group.style.display = extra.length ? '' : 'none';
+}
+
+function catalogLegendId(entry) {
+  return entry.legend?.id || (entry.builtin ? null : `legendCat_${entry.id}`);
+}
+
+// Filas de popup declaradas en el catálogo ([etiqueta, campo | [alternativas]])
+function catalogPopupProps(entry, f) {
+  const p = f.properties || {};
+  const fields = entry.popup || Object.keys(p).map(k => [k, k]);
+  const rows = fields
+    .map(([label, key]) => [label, getProp(p, Array.isArray(key) ? key : [key])])
+    .filter(([, v]) => v !== null && v !== '');
+  return { ...p, __ROWS: rows };
 }
 
-function buildServiciosLayer(filterFn, pointToLayerFn) {
-  return L.geoJSON(serviciosData, {
-    pane: 'paneServices',
-    filter: (feat) => {
-      const p = feat.properties || {};
-      return filterFn(p);
+async function loadCatalogLayer(entry) {
+  if (!getSourceUrl(entry.id) && !getSourceUrl(entry.id, 'topojson')) {
+    throw new Error(`La capa "${entry.id}" no tiene fuente en el catálogo`);
+  }
+  let gj = await fetchLayerData(entry.id);
+  if (gj && gj.type === 'Topology') gj = topologyToGeoJSON(gj);
+
+  const cl = entry.classification;
+  const polygonPane = entry.geometry === 'line' ? 'paneServices' : 'panePoligonos';
+  layers[entry.id] = L.geoJSON(gj, {
+    pane: polygonPane,
+    style: (f) => ({ pane: polygonPane, ...catalogPolygonStyle(entry, catalogFieldValue(cl, f.properties || {})) }),
+    pointToLayer: (f, latlng) => {
+      const s = catalogSymbol(entry.id, catalogFieldValue(cl, f.properties || {}));
+      return L.circleMarker(latlng, { pane: 'panePuntos', ...pointSymbolStyle(s) });
     },
-    pointToLayer: pointToLayerFn,
-    onEachFeature: (feat, layer) => {
-      layer.on('click', () => showPopupCard(feat, layer.getLatLng()));
+    onEachFeature: (f, l) => {
+      l.bindPopup(() => popupCardHTML(catalogPopupProps(entry, f)), { maxWidth: 360 });
     }
   });
+  return layers[entry.id];
 }
 
-async function ensureServiciosLayersBuilt() {
-  await loadServiciosData();
-  if (serviciosLayers.e_si) return;
+function initCatalogLayers() {
+  for (const entry of layerCatalog.filter(l => !l.builtin)) {
+    toggleLayer(catalogCheckboxId(entry), () => loadCatalogLayer(entry), entry.id);
+  }
+}
 
-  const isSi = (v) => isYes(v) === true;
-  const isNo = (v) => {
-    if (v === null || v === undefined) return false;
-    const s = String(v).trim().toLowerCase();
-    return s === 'no' || s === 'n';
-  };
+// ---------- Uso sin conexión (service worker + teselas descargadas) ----------
+// sw.js precarga app, librerías y datos del catálogo (versión = DATA_VERSION). Las teselas
+// solo se guardan al descargarlas aquí (por provincia y rango de zoom) y solo del proveedor de
+// OFFLINE_TILES en config.js: los términos de OSM y Esri prohíben la descarga masiva.
+const OFFLINE_TILE_CACHE = 'visor-tiles';
+// Tope de teselas guardadas en el equipo (sumando descargas); OFFLINE_TILES.maxTiles lo cambia
+const OFFLINE_MAX_TILES = Number(OFFLINE_TILES?.maxTiles) || 1000;
+const OFFLINE_CONCURRENCY = 2;
+let offlineDownload = null;
+let installPrompt = null;
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  navigator.serviceWorker
+    .register(`sw.js?v=${encodeURIComponent(window.DATA_VERSION || '1')}`)
+    .catch(e => console.warn('[SW] Registro fallido:', e));
+}
 
-  serviciosLayers.e_si = buildServiciosLayer(
-    (p) => isSi(getProp(p, ['Servicio_E', 'Servicio_e', 'SERVICIO_E'])),
-    (feat, latlng) => circleMarker(latlng, '#00c853', '#000', 6)
-  );
+// Índices de tesela (XYZ / Web Mercator) de una latitud/longitud
+function lngToTileX(lng, z) {
+  return Math.floor((lng + 180) / 360 * 2 ** z);
+}
 
-  serviciosLayers.a_si = buildServiciosLayer(
-    (p) => isSi(getProp(p, ['Servicio_A', 'Servicio_a', 'SERVICIO_A'])),
-    (feat, latlng) => circleMarker(latlng, '#0288d1', '#000', 6)
-  );
+function latToTileY(lat, z) {
+  const r = lat * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * 2 ** z);
+}
 
-  serviciosLayers.e_no = buildServiciosLayer(
-    (p) => isNo(getProp(p, ['Servicio_E', 'Servicio_e', 'SERVICIO_E'])),
-    (feat, latlng) => L.marker(latlng, { icon: ICON_NO_LUZ, pane: 'paneServices' })
-  );
+// URLs (exactamente las que pedirá Leaflet) de las teselas que cubren bounds en [zMin, zMax]
+function tileUrlsFor(bounds, zMin, zMax, tileLayers) {
+  const urls = [];
+  for (let z = zMin; z <= zMax; z++) {
+    const x0 = lngToTileX(bounds.getWest(), z);
+    const x1 = lngToTileX(bounds.getEast(), z);
+    const y0 = latToTileY(bounds.getNorth(), z);
+    const y1 = latToTileY(bounds.getSouth(), z);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (const tl of tileLayers) {
+          const subs = tl.options.subdomains || '';
+          const s = subs.length ? subs[Math.abs(x + y) % subs.length] : '';
+          urls.push(L.Util.template(tl._url, { ...tl.options, s, x, y, z, r: '' }));
+        }
+      }
+    }
+  }
+  return urls;
+}
 
-  serviciosLayers.a_no = buildServiciosLayer(
-    (p) => isNo(getProp(p, ['Servicio_A', 'Servicio_a', 'SERVICIO_A'])),
-    (feat, latlng) => L.marker(latlng, { icon: ICON_NO_AGUA, pane: 'paneServices' })
-  );
+function offlineProvinceFeature(name) {
+  return (provinciasData?.features || []).find(f => (f.properties?.DPA_DESPRO || '') === name) || null;
 }
 
-async function bindServiciosToggle(id, key) {
-  const cb = document.getElementById(id);
-  if (!cb) return;
+function offlineSelection() {
+  const get = id => document.getElementById(id);
+  const zMin = Math.max(0, Math.min(18, Number(get('offZMin').value) || 0));
+  const zMax = Math.max(zMin, Math.min(18, Number(get('offZMax').value) || zMin));
+  const feat = offlineProvinceFeature(get('offProv').value);
+  const bounds = feat ? L.geoJSON(feat).getBounds() : map.getBounds();
+  return { zMin, zMax, bounds, urls: tileUrlsFor(bounds, zMin, zMax, [baseOffline]) };
+}
+
+async function offlineStoredCount() {
+  if (!('caches' in window)) return 0;
+  return (await (await caches.open(OFFLINE_TILE_CACHE)).keys()).length;
+}
+
+async function renderOfflineEstimate() {
+  const el = document.getElementById('offEstimate');
+  if (!el || offlineDownload || !baseOffline) return;
+  const { urls } = offlineSelection();
+  const free = Math.max(0, OFFLINE_MAX_TILES - await offlineStoredCount());
+  // ~15 kB por tesela (promedio aproximado de un mapa de calles)
+  el.textContent = `${fmtInt(urls.length)} teselas (~${fmtInt(Math.round(urls.length * 15 / 1024))} MB)` +
+    (urls.length > free ? ` — supera las ${fmtInt(free)} disponibles (tope ${fmtInt(OFFLINE_MAX_TILES)}): reduce el zoom máximo o el área` : '');
+}
+
+async function downloadOfflineTiles() {
+  if (!('caches' in window)) {
+    setStatus('Este navegador no permite guardar teselas');
+    return;
+  }
+  if (!baseOffline) return;
+  const { urls } = offlineSelection();
+  if (!urls.length) return;
+  const free = Math.max(0, OFFLINE_MAX_TILES - await offlineStoredCount());
+  if (urls.length > free) {
+    setStatus(`Demasiadas teselas (${fmtInt(urls.length)}); quedan ${fmtInt(free)} de un máximo de ${fmtInt(OFFLINE_MAX_TILES)}`);
+    return;
+  }
 
-  const apply = async () => {
-    await ensureServiciosLayersBuilt();
-    const lyr = serviciosLayers[key];
-    if (!lyr) return;
-    if (cb.checked) lyr.addTo(map);
-    else map.removeLayer(lyr);
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+  const prog = document.getElementById('offEstimate');
+  const state = offlineDownload = { done: 0, failed: 0, cancelled: false };
+  syncOfflineButtons();
+  const queue = urls.slice();
+  const worker = async () => {
+    while (queue.length && !state.cancelled) {
+      const url = queue.shift();
+      try {
+        if (!(await cache.match(url))) {
+          const res = await fetch(url, { mode: 'cors' });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          await cache.put(url, res);
+        }
+      } catch (e) {
+        state.failed++;
+      }
+      state.done++;
+      if (prog) prog.textContent = `Descargando… ${fmtInt(state.done)} / ${fmtInt(urls.length)}${state.failed ? ` (${fmtInt(state.failed)} con error)` : ''}`;
+    }
   };
+  await Promise.all(Array.from({ length: OFFLINE_CONCURRENCY }, worker));
+
+  offlineDownload = null;
+  syncOfflineButtons();
+  if (prog) {
+    prog.textContent = state.cancelled
+      ? `Descarga cancelada (${fmtInt(state.done)} teselas)`
+      : `Listo: ${fmtInt(urls.length - state.failed)} teselas guardadas${state.failed ? `, ${fmtInt(state.failed)} con error` : ''}`;
+  }
+  renderOfflineStored();
+}
 
-  cb.addEventListener('change', apply);
+async function renderOfflineStored() {
+  const el = document.getElementById('offStored');
+  if (!el || !('caches' in window)) return;
+  el.textContent = `Teselas guardadas en este equipo: ${fmtInt(await offlineStoredCount())} de ${fmtInt(OFFLINE_MAX_TILES)}`;
+}
+
+async function clearOfflineTiles() {
+  if (!('caches' in window)) return;
+  await caches.delete(OFFLINE_TILE_CACHE);
+  renderOfflineStored();
+  renderOfflineEstimate();
+}
+
+function syncOfflineButtons() {
+  const dl = document.getElementById('offDownload');
+  const cancel = document.getElementById('offCancel');
+  if (dl) dl.disabled = !!offlineDownload;
+  if (cancel) cancel.style.display = offlineDownload ? '' : 'none';
+}
+
+function syncConnectionStatus() {
+  const el = document.getElementById('offConn');
+  if (el) {
+    el.textContent = navigator.onLine ? 'Con conexión' : 'Sin conexión: se usan los datos y teselas guardados';
+    el.classList.toggle('offline', !navigator.onLine);
+  }
+  // Sin conexión solo se ven las teselas descargadas: se pasa a su capa base
+  if (!navigator.onLine && baseOffline) setBasemap(OFFLINE_BASE_NAME);
+  if (!navigator.onLine) setStatus('Sin conexión');
+  else if (document.getElementById('status')?.textContent === 'Sin conexión') setStatus('');
+}
+
+async function initOffline() {
+  registerServiceWorker();
+  const box = document.getElementById('offlineBody');
+  if (!box) return;
+
+  box.innerHTML = `
+    <div class="off-conn" id="offConn"></div>
+    <div class="attr-filter-note">Datos versión <b>${window.DATA_VERSION || '1'}</b> (se guardan solos al abrir el visor).</div>
+    <button type="button" class="btn-small" id="offInstall" style="display:none;">Instalar visor en este equipo</button>
+    ${baseOffline ? `
+    <div class="attr-filter-note">Teselas de <b>${OFFLINE_BASE_NAME}</b> (${OFFLINE_TILES.attribution || OFFLINE_TILES.url})${OFFLINE_TILES.terms ? `, según sus <a href="${OFFLINE_TILES.terms}" target="_blank" rel="noopener">términos de uso</a>` : ''}.
+      Sin conexión el visor pasa a esa capa base. Los mapas de OSM y Esri no se descargan: sus términos de uso prohíben la descarga masiva.</div>
+    <div class="attr-filter"><label for="offProv">Provincia</label><select id="offProv"><option value="">Vista actual del mapa</option></select></div>
+    <div class="attr-filter off-zoom">
+      <label>Zoom</label>
+      <input type="number" id="offZMin" min="0" max="18" value="7"> a
+      <input type="number" id="offZMax" min="0" max="18" value="11">
+    </div>` : `
+    <div class="attr-filter-note">Descarga de teselas desactivada: los términos de uso de OpenStreetMap y Esri
+      prohíben la descarga masiva de sus mapas. Configura <b>OFFLINE_TILES</b> en config.js con un servidor propio
+      o un proveedor que la autorice. Sin conexión, el mapa base se ve solo donde ya estaba en la caché del navegador.</div>`}
+    <div class="export-row">
+      ${baseOffline ? `<button type="button" class="btn-small" id="offDownload">Descargar teselas</button>
+      <button type="button" class="btn-small" id="offCancel" style="display:none;">Cancelar</button>` : ''}
+      <button type="button" class="btn-small" id="offClear">Borrar teselas</button>
+    </div>
+    <div class="attr-filter-note" id="offEstimate"></div>
+    <div class="attr-filter-note" id="offStored"></div>`;
+
+  document.getElementById('offClear').addEventListener('click', clearOfflineTiles);
+  if (baseOffline) await initOfflineDownload(box);
+
+  // Instalación como aplicación (Chrome / Edge / Android)
+  const install = document.getElementById('offInstall');
+  window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    installPrompt = e;
+    install.style.display = '';
+  });
+  install.addEventListener('click', async () => {
+    if (!installPrompt) return;
+    installPrompt.prompt();
+    await installPrompt.userChoice;
+    installPrompt = null;
+    install.style.display = 'none';
+  });
+
+  window.addEventListener('online', syncConnectionStatus);
+  window.addEventListener('offline', syncConnectionStatus);
+  syncConnectionStatus();
+  renderOfflineEstimate();
+  renderOfflineStored();
+}
+
+// Controles de descarga (solo con OFFLINE_TILES configurado)
+async function initOfflineDownload(box) {
+  try {
+    const gj = await loadProvinciasData();
+    const names = [...new Set((gj.features || []).map(f => f.properties?.DPA_DESPRO).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'es'));
+    document.getElementById('offProv').insertAdjacentHTML('beforeend', names.map(n => `<option value="${n}">${n}</option>`).join(''));
+  } catch (e) {
+    console.warn('[Offline] Sin lista de provincias:', e);
+  }
+
+  box.addEventListener('change', renderOfflineEstimate);
+  box.addEventListener('input', renderOfflineEstimate);
+  map.on('moveend', () => {
+    if (!document.getElementById('offProv').value) renderOfflineEstimate();
+  });
+  document.getElementById('offDownload').addEventListener('click', () => {
+    downloadOfflineTiles().catch((e) => {
+      console.error(e);
+      offlineDownload = null;
+      syncOfflineButtons();
+      setStatus(String(e.message || e));
+    });
+  });
+  document.getElementById('offCancel').addEventListener('click', () => {
+    if (offlineDownload) offlineDownload.cancelled = true;
+  });
+}
+
+// ---------- Calidad de datos (data_validator.js, mismo reporte que check_coords.js) ----------
+let dataQualityReport = null;
+
+// GeoJSON original de cada capa del catálogo (no el TopoJSON: se revisa lo que llega de origen)
+async function dataQualitySource(entry) {
+  const url = getSourceUrl(entry.id);
+  if (!url) return { entry, missing: true };
+  try {
+    const res = await fetch(withDataVersion(url), { mode: 'cors' });
+    if (res.status === 404) return { entry, missing: true };
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const buf = await res.arrayBuffer();
+    return { entry, data: JSON.parse(new TextDecoder().decode(buf)), extra: await dataQualityBuildIssues(entry, buf) };
+  } catch (e) {
+    return { entry, error: String(e.message || e) };
+  }
+}
+
+// TopoJSON que carga el visor frente a la fuente recién leída (tamaño y SHA-1 de build_data.js)
+async function dataQualityBuildIssues(entry, buf) {
+  if (sourceOverride(entry.id) && !sourceOverride(entry.id, 'topojson')) return [];
+  const topoUrl = getSourceUrl(entry.id, 'topojson');
+  if (!topoUrl) return [];
+  let topo;
+  try {
+    topo = await fetchJson(topoUrl);
+  } catch (e) {
+    return []; // sin TopoJSON el visor usa la fuente: nada desactualizado
+  }
+  // crypto.subtle solo existe en HTTPS / localhost; sin él se compara el tamaño
+  let sha1 = null;
+  if (window.crypto && crypto.subtle) {
+    const d = await crypto.subtle.digest('SHA-1', buf);
+    sha1 = [...new Uint8Array(d)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+  const path = versionSourceFor(entry, timeState.date)?.topojson || topoUrl;
+  return window.DataValidator.validateBuild(path, topo.build, { size: buf.byteLength, sha1 });
+}
+
+async function runDataQuality() {
+  const out = document.getElementById('dqResult');
+  const btn = document.getElementById('dqRun');
+  btn.disabled = true;
+  out.innerHTML = '<div class="attr-filter-note">Analizando…</div>';
+  try {
+    const items = await Promise.all(layerCatalog.filter(l => l.source && l.source.path).map(dataQualitySource));
+    // Capas propias (arrastrar y soltar): entran en la revisión cruzada de AMIE
+    for (const u of uploadedLayers) {
+      items.push({ entry: { id: u.id, title: `${u.name} (capa propia)`, source: { path: u.name } }, data: u.layer.toGeoJSON() });
+    }
+    dataQualityReport = window.DataValidator.validateCatalog(items);
+    out.innerHTML = window.DataValidator.reportBodyHTML(dataQualityReport);
+  } catch (e) {
+    console.error(e);
+    out.innerHTML = `<div class="attr-filter-note">No se pudo analizar: ${e.message || e}</div>`;
+  } finally {
+    btn.disabled = false;
+    syncDataQualityButtons();
+  }
+}
+
+function syncDataQualityButtons() {
+  for (const id of ['dqHtml', 'dqJson']) {
+    const b = document.getElementById(id);
+    if (b) b.disabled = !dataQualityReport;
+  }
+}
+
+function initDataQuality() {
+  const box = document.getElementById('qualityBody');
+  if (!box) return;
+  if (!window.DataValidator) {
+    box.innerHTML = '<div class="attr-filter-note">Falta data_validator.js</div>';
+    return;
+  }
+
+  box.innerHTML = `
+    <div class="attr-filter-note">Revisa las fuentes del catálogo y las capas propias: CRS, límites de Ecuador, AMIE repetidos o inconsistentes entre archivos, tipos y valores fuera de dominio.</div>
+    <div class="export-row">
+      <button type="button" class="btn-small" id="dqRun">Analizar datos</button>
+      <button type="button" class="btn-small" id="dqHtml">Reporte HTML</button>
+      <button type="button" class="btn-small" id="dqJson">JSON</button>
+    </div>
+    <div class="dq-result" id="dqResult"></div>`;
+
+  document.getElementById('dqRun').addEventListener('click', runDataQuality);
+  document.getElementById('dqHtml').addEventListener('click', () => {
+    const html = window.DataValidator.reportToHTML(dataQualityReport);
+    downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), exportFileName('calidad_datos', 'html'));
+  });
+  document.getElementById('dqJson').addEventListener('click', () => {
+    const json = JSON.stringify(dataQualityReport, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), exportFileName('calidad_datos', 'json'));
+  });
+  syncDataQualityButtons();
+}
+
+// ---------- Serie temporal (deslizador de fechas y modo diferencias) ----------
+// Las capas con "versions" en el catálogo cambian de fuente según la fecha elegida; el resto
+// es igual en todas las fechas. El modo diferencias compara dos fechas por AMIE.
+const TIME_DIFF_KINDS = [
+  { id: 'empeoro', label: 'Estado empeoró', color: '#dc2626' },
+  { id: 'perdio', label: 'Perdió servicios', color: '#ea580c' },
+  { id: 'mejoro', label: 'Estado mejoró', color: '#16a34a' },
+  { id: 'gano', label: 'Ganó servicios', color: '#2563eb' }
+];
+const TIME_DIFF_SERVICES = [
+  { label: 'Electricidad', keys: SERV_E_KEYS },
+  { label: 'Agua', keys: SERV_A_KEYS }
+];
+
+const timeSnapshots = new Map(); // fecha ('' = la más reciente) -> Promise<Map AMIE -> registro>
+const timeDiffHidden = new Set(); // tipos de cambio desmarcados
+let timeDiff = null;              // { from, to, changes: [{ amie, latlng, props, kinds, notes }] }
+let timeDiffLayer = null;
+
+function timelineDates() {
+  const dates = new Set();
+  for (const entry of layerCatalog) {
+    if (entry.date) dates.add(String(entry.date));
+    for (const v of layerVersions(entry)) dates.add(v.date);
+  }
+  return [...dates].sort((a, b) => a.localeCompare(b));
+}
+
+// Fecha mostrada (null = la más reciente de la serie)
+function timeDateLabel(date) {
+  const dates = timelineDates();
+  return date || dates[dates.length - 1] || 'actual';
+}
+
+// Instituciones a una fecha (mismas fuentes y precedencia que el registro, sin los polígonos NBI)
+function timeSnapshot(date) {
+  const key = date || '';
+  if (!timeSnapshots.has(key)) {
+    timeSnapshots.set(key, (async () => {
+      const keys = REGISTRY_SOURCES.filter(k => k !== 'cantonesNbi');
+      const results = await Promise.allSettled(keys.map(k => fetchLayerData(k, date || null)));
+      const byAmie = new Map();
+      results.forEach((r) => {
+        if (r.status !== 'fulfilled') return;
+        for (const f of r.value.features || []) {
+          const p = f.properties || {};
+          const amie = getAmie(p);
+          const pt = registryPointOf(f);
+          if (!amie || !pt) continue;
+          let rec = byAmie.get(amie);
+          if (!rec) byAmie.set(amie, rec = { amie, latlng: L.latLng(pt[1], pt[0]), props: {} });
+          mergeSchoolProps(rec.props, p);
+        }
+      });
+      return byAmie;
+    })());
+  }
+  return timeSnapshots.get(key);
+}
+
+// Puntaje de ESTADO_IE_ del índice (MALO 1 ... BUENO 0); null si el valor no tiene puntaje (S/I)
+function timeEstadoOf(p) {
+  const e = String(getProp(p, ['ESTADO_IE_']) ?? '').trim().toUpperCase();
+  const score = priorityIndexConfig.estadoScores[e];
+  return { e, score: typeof score === 'number' ? score : null };
+}
+
+async function computeTimeDiff(from, to) {
+  const [before, after] = await Promise.all([timeSnapshot(from), timeSnapshot(to)]);
+  const changes = [];
+  for (const [amie, rb] of after) {
+    const ra = before.get(amie);
+    if (!ra) continue;
+    const kinds = new Set();
+    const notes = [];
+    const ea = timeEstadoOf(ra.props);
+    const eb = timeEstadoOf(rb.props);
+    if (ea.score !== null && eb.score !== null && ea.score !== eb.score) {
+      kinds.add(eb.score < ea.score ? 'mejoro' : 'empeoro');
+      notes.push(`Estado: ${ea.e} → ${eb.e}`);
+    }
+    for (const sv of TIME_DIFF_SERVICES) {
+      const va = getProp(ra.props, sv.keys);
+      const vb = getProp(rb.props, sv.keys);
+      if (isNo(va) && isYes(vb)) {
+        kinds.add('gano');
+        notes.push(`${sv.label}: No → Sí`);
+      } else if (isYes(va) && isNo(vb)) {
+        kinds.add('perdio');
+        notes.push(`${sv.label}: Sí → No`);
+      }
+    }
+    if (kinds.size) changes.push({ amie, latlng: rb.latlng, props: rb.props, kinds: [...kinds], notes });
+  }
+  return { from, to: timeDateLabel(to), changes };
+}
+
+// Tipo que define el color: el primero de TIME_DIFF_KINDS (empeoras antes que mejoras) que esté marcado
+function timeDiffKindOf(c) {
+  return TIME_DIFF_KINDS.find(k => c.kinds.includes(k.id) && !timeDiffHidden.has(k.id)) || null;
+}
 
-  // si ya viene marcado
-  if (cb.checked) await apply();
+function timeDiffStyle(kind) {
+  return pointSymbolStyle({ radius: 6, fill: kind.color, stroke: '#ffffff', fillOpacity: 0.9 }, 1.5);
 }
 
-function initServiciosToggles() {
-  bindServiciosToggle('tgServEYes', 'e_si');
-  bindServiciosToggle('tgServENo', 'e_no');
-  bindServiciosToggle('tgServAYes', 'a_si');
-  bindServiciosToggle('tgServANo', 'a_no');
+function timeDiffVisible() {
+  return timeDiff ? timeDiff.changes.filter(c => passesAttrFilters(c.props) && timeDiffKindOf(c)) : [];
 }
 
+function timeDiffPopupHTML(c) {
+  return `<div class="pc-sep"></div><div class="ix-title">Cambios ${timeDiff.from} → ${timeDiff.to}</div>
+    ${c.notes.map(n => `<div class="pc-row"><div class="pc-k">${n}</div></div>`).join('')}`;
+}
+
+function renderTimeDiff() {
+  if (!timeDiffLayer) timeDiffLayer = L.layerGroup();
+  timeDiffLayer.clearLayers();
+  const counts = Object.fromEntries(TIME_DIFF_KINDS.map(k => [k.id, 0]));
+  if (timeState.diffFrom && timeDiff) {
+    for (const c of timeDiff.changes) {
+      if (!passesAttrFilters(c.props)) continue;
+      c.kinds.forEach((k) => { counts[k]++; });
+      const kind = timeDiffKindOf(c);
+      if (!kind) continue;
+      L.circleMarker(c.latlng, { pane: 'panePuntos', ...timeDiffStyle(kind) })
+        .bindPopup(() => popupCardHTML({ ...c.props, __EXTRA_HTML: timeDiffPopupHTML(c) }), { maxWidth: 360 })
+        .addTo(timeDiffLayer);
+    }
+    timeDiffLayer.addTo(map);
+  } else {
+    map.removeLayer(timeDiffLayer);
+  }
+
+  for (const k of TIME_DIFF_KINDS) setLayerCount(`tgDiff_${k.id}`, timeDiff ? counts[k.id] : null);
+  const note = document.getElementById('timeDiffNote');
+  if (note) {
+    note.textContent = !timeState.diffFrom ? ''
+      : (timeDiff ? `${fmtInt(timeDiffVisible().length)} instituciones con cambios` : 'Comparando…');
+  }
+  const btn = document.getElementById('timeDiffExport');
+  if (btn) btn.disabled = !(timeState.diffFrom && timeDiff);
+  refreshLegends();
+}
+
+async function updateTimeDiff() {
+  const from = timeState.diffFrom;
+  const to = timeState.date;
+  timeDiff = null;
+  renderTimeDiff();
+  if (!from) return;
+  try {
+    setStatus('Comparando fechas...');
+    const d = await computeTimeDiff(from, to);
+    // La fecha cambió mientras se cargaba: manda la comparación más nueva
+    if (timeState.diffFrom !== from || timeState.date !== to) return;
+    timeDiff = d;
+    setStatus('');
+  } catch (e) {
+    console.error(e);
+    setStatus(String(e.message || e));
+  }
+  renderTimeDiff();
+}
+
+function exportTimeDiff() {
+  const cols = ['AMIE', 'NOMBRE', 'CAMBIOS', 'DETALLE', 'DESDE', 'HASTA', 'LONGITUD', 'LATITUD'];
+  const rows = timeDiffVisible().map(c => ({
+    AMIE: c.amie,
+    NOMBRE: popupTitle(c.props),
+    CAMBIOS: c.kinds.map(k => TIME_DIFF_KINDS.find(x => x.id === k).label).join(', '),
+    DETALLE: c.notes.join('; '),
+    DESDE: timeDiff.from,
+    HASTA: timeDiff.to,
+    LONGITUD: c.latlng.lng,
+    LATITUD: c.latlng.lat
+  }));
+  downloadBlob(new Blob([rowsToCsv(rows, cols)], { type: 'text/csv;charset=utf-8' }), exportFileName(`cambios_${timeDiff.from}_${timeDiff.to}`, 'csv'));
+}
+
+// Nueva fecha: se descarta lo cargado de la anterior y se vuelve a armar lo que está encendido
+async function reloadTimeSnapshot() {
+  schoolRegistry.byAmie.clear();
+  schoolRegistry.errors = {};
+  schoolRegistry.ready = null;
+  schoolMarkers.clear();
+  priorityIndexReady = false;
+  renderSchools();
+
+  if (layerVersions(catalogLayer('cantonesNbi')).length) {
+    cantonesNbiData = null;
+    if (layers.cantonesNbi) {
+      await loadCantonesNbiData();
+      rebuildCantonesNbi();
+    }
+  }
+  for (const entry of layerCatalog.filter(l => !l.builtin && layerVersions(l).length)) {
+    const old = layers[entry.id];
+    if (!old) continue;
+    const on = map.hasLayer(old);
+    map.removeLayer(old);
+    delete layers[entry.id];
+    if (on) (await loadCatalogLayer(entry)).addTo(map);
+  }
+
+  if (activeSchoolFilters().length) {
+    await ensureSchoolRegistry();
+    for (const f of activeSchoolFilters()) {
+      if (f.prepare) await f.prepare();
+    }
+    renderSchools();
+  }
+  if (document.querySelector('#attrFilters select[data-filter]') && schoolRegistry.ready) renderAttrFilterOptions();
+  updateLayerCounts();
+  refreshServiceCrossTab();
+  refreshLegends();
+}
+
+function syncTimeControls() {
+  const dates = timelineDates();
+  const cur = timeDateLabel(timeState.date);
+  const slider = document.getElementById('timeSlider');
+  if (slider) slider.value = String(Math.max(0, dates.indexOf(cur)));
+  const label = document.getElementById('timeLabel');
+  if (label) label.textContent = cur;
+
+  // "Desde": solo fechas anteriores a la elegida
+  const sel = document.getElementById('timeFrom');
+  if (sel) {
+    const prev = dates.filter(d => d < cur);
+    sel.innerHTML = prev.map(d => `<option value="${d}">${d}</option>`).join('');
+    sel.value = timeState.diffFrom && prev.includes(timeState.diffFrom) ? timeState.diffFrom : (prev[prev.length - 1] || '');
+    sel.disabled = !prev.length;
+  }
+  const cb = document.getElementById('tgTimeDiff');
+  if (cb) {
+    cb.checked = !!timeState.diffFrom;
+    cb.disabled = !sel || !sel.options.length;
+  }
+  const kinds = document.getElementById('timeDiffKinds');
+  if (kinds) kinds.style.display = timeState.diffFrom ? 'block' : 'none';
+}
+
+async function setTimeDate(date) {
+  const dates = timelineDates();
+  const d = !date || date === dates[dates.length - 1] ? null : date;
+  if (d === timeState.date) return;
+  timeState.date = d;
+  // La fecha "desde" tiene que ser anterior a la elegida
+  if (timeState.diffFrom && !(timeState.diffFrom < timeDateLabel(d))) {
+    timeState.diffFrom = dates.filter(x => x < timeDateLabel(d)).pop() || null;
+  }
+  syncTimeControls();
+  writePermalink();
+  try {
+    setStatus('Cargando datos de la fecha...');
+    await reloadTimeSnapshot();
+    setStatus('');
+  } catch (e) {
+    console.error(e);
+    setStatus(String(e.message || e));
+  }
+  updateTimeDiff();
+}
+
+function setTimeDiff(from) {
+  timeState.diffFrom = from || null;
+  syncTimeControls();
+  writePermalink();
+  updateTimeDiff();
+}
+
+function initTimeSeries() {
+  const box = document.getElementById('timeBody');
+  if (!box) return;
+  const dates = timelineDates();
+  const withSeries = layerCatalog.filter(l => layerVersions(l).length).map(l => l.title || l.id);
+
+  if (dates.length < 2) {
+    box.innerHTML = `<div class="attr-filter-note">Los datos tienen una sola fecha${dates[0] ? ` (${dates[0]})` : ''}.
+      Para comparar años agrega "versions" a las capas en catalogo_capas.json (ver data/LEEME.txt).</div>`;
+    return;
+  }
+
+  box.innerHTML = `
+    <div class="attr-filter">
+      <label for="timeSlider">Fecha: <b id="timeLabel"></b></label>
+      <input type="range" id="timeSlider" min="0" max="${dates.length - 1}" step="1">
+      <div class="time-ticks">${dates.map(d => `<span>${d}</span>`).join('')}</div>
+    </div>
+    <div class="attr-filter-note">Con serie: ${withSeries.join(', ')}. Las demás capas no cambian.</div>
+    <div class="toggle-row">
+      <input type="checkbox" id="tgTimeDiff">
+      <label for="tgTimeDiff">Cambios desde</label>
+      <select id="timeFrom"></select>
+    </div>
+    <div id="timeDiffKinds" class="services-subtoggles" style="display:none;">
+      ${TIME_DIFF_KINDS.map(k => `<div class="toggle-row">
+        <input type="checkbox" id="tgDiff_${k.id}" data-diff-kind="${k.id}"${timeDiffHidden.has(k.id) ? '' : ' checked'}>
+        <label for="tgDiff_${k.id}">${k.label}</label>
+      </div>`).join('')}
+      <div class="attr-filter-note" id="timeDiffNote"></div>
+      <button type="button" class="btn-small" id="timeDiffExport" disabled>Exportar cambios (CSV)</button>
+      <div id="legendDiff" class="bubble-legend"></div>
+    </div>`;
+
+  const slider = document.getElementById('timeSlider');
+  slider.addEventListener('input', () => {
+    document.getElementById('timeLabel').textContent = dates[Number(slider.value)];
+  });
+  slider.addEventListener('change', () => setTimeDate(dates[Number(slider.value)]));
+  document.getElementById('tgTimeDiff').addEventListener('change', (ev) => {
+    setTimeDiff(ev.target.checked ? document.getElementById('timeFrom').value : null);
+  });
+  document.getElementById('timeFrom').addEventListener('change', (ev) => {
+    if (timeState.diffFrom) setTimeDiff(ev.target.value);
+  });
+  document.getElementById('timeDiffKinds').addEventListener('change', (ev) => {
+    const k = ev.target.dataset?.diffKind;
+    if (!k) return;
+    if (ev.target.checked) timeDiffHidden.delete(k);
+    else timeDiffHidden.add(k);
+    renderTimeDiff();
+  });
+  document.getElementById('timeDiffExport').addEventListener('click', exportTimeDiff);
+
+  syncTimeControls();
+  if (timeState.diffFrom) updateTimeDiff();
+}
+
+// ---------- UI wiring ----------
+
+async function toggleLayer(checkboxId, loaderFn, layerKey) {
+  const cb = document.getElementById(checkboxId);
+  if (!cb) {
+    console.warn(`No existe checkbox con id="${checkboxId}" (revisa index.html)`);
+    return;
+  }
+
+  const onChange = async () => {
+    try {
+      setStatus('');
+      if (cb.checked) {
+        if (!layers[layerKey]) {
+          setStatus('Cargando capa...');
+          const lyr = await loaderFn();
+          lyr.addTo(map);
+          // Asegura orden (polígonos al fondo)
+          if (lyr && typeof lyr.bringToBack === 'function' && catalogLayer(layerKey)?.geometry === 'polygon') {
+            lyr.bringToBack();
+          }
+          setStatus('');
+        } else {
+          layers[layerKey].addTo(map);
+        }
+      } else {
+        if (layers[layerKey]) map.removeLayer(layers[layerKey]);
+      }
+
+      refreshLegends();
+    } catch (e) {
+      console.error(e);
+      setStatus(String(e.message || e));
+      cb.checked = false;
+    }
+  };
+
+  cb.addEventListener('change', onChange);
+
+  // Si el checkbox ya viene marcado al cargar la página, dispara la carga automáticamente.
+  if (cb.checked) {
+    onChange();
+  }
+}
+
+// Init
 
-(function init() {
+(async function init() {
   // status box (top left panel)
   setStatus('');
 
+  // Catálogo de capas: fuentes, simbología, popups, leyendas y filas de la barra lateral
+  try {
+    await loadLayerCatalog();
+  } catch (e) {
+    console.error(e);
+    setStatus('No se pudo cargar el catálogo de capas (catalogo_capas.json): se usan las capas base con su simbología por defecto');
+  }
+  buildCatalogSidebar();
+
+  // Sub-toggles dinámicos (deben existir antes de restaurar el permalink)
+  buildPriorSubtoggles();
+  buildViolenceSubtoggles();
+  buildOtrasOptions();
+  buildViolenceHeatOptions();
+
+  // Permalink: restaura vista / base / checkboxes / filtros desde el hash (antes de enlazar toggles)
+  restorePermalink();
+
   // IMPORTANT: checkbox IDs must match those defined in index.html
   toggleLayer('tgProv', loadProvincias, 'provincias');
   toggleLayer('tgNbi', loadCantonesNbi, 'cantonesNbi');
+  initCatalogLayers();
 
-  toggleLayer(
-    'tgViol',
-    () => loadPointLayer('violencia', 'violencia', {
-      // Clasificación por Total_caso (como QGIS): 1-3, 4-8, 9-23
-      symbolFn: (p) => {
-        // Soporta nombres de campo con y sin guion bajo (p.ej. "Total Caso" vs "Total_Caso")
-        const v = toNumber(getProp(p, ['Total_caso','Total_Caso','Total Caso','TOTAL_CASO','TOTAL_CASOS','total_caso','total_casos']));
-        // Si viene NULL/0, se dibuja como punto pequeño negro (para no “desaparecer” registros)
-        if (!v || v <= 0) return { radius: 2.5, fill: '#000', stroke: '#000', fillOpacity: 0.75 };
-
-        if (v <= 3)  return { radius: 4,  fill: 'rgba(56,189,248,.85)', stroke: '#000', fillOpacity: 0.75 };
-        if (v <= 8)  return { radius: 7,  fill: 'rgba(14,165,233,.85)', stroke: '#000', fillOpacity: 0.75 };
-        // >= 9 (hasta 23 en tu archivo; si hay más, igual cae aquí)
-        return         { radius: 11, fill: 'rgba(2,132,199,.85)',  stroke: '#000', fillOpacity: 0.75 };
-      },
-      weight: 0.9
-    }),
-    'violencia'
-  );
-
-  toggleLayer(
-    'tgOtras',
-    () => loadPointLayer('otrasNacionalidades', 'otrasNacionalidades', {
-      // Clasificación por Total_estu (como QGIS): 1-50, 50-100, >100
-      symbolFn: (p) => {
-        const v = toNumber(getProp(p, ['Total_estu','Total estu','TOTAL_ESTU','TOTAL_EST','total_estu','total_estudiantes']));
-        // Si viene NULL/0, se dibuja como punto pequeño negro (para no “desaparecer” registros)
-        if (!v || v <= 0) return { radius: 2.5, fill: '#000', stroke: '#000', fillOpacity: 0.75 };
-
-        // Queremos una lectura “tipo ArcGIS”: valores pequeños MUY pequeños y valores altos claramente más grandes.
-        // Mantiene 3 clases visuales (1–50, 50–100, >100), pero dentro de cada clase escala suavemente.
-        let r;
-        if (v <= 50) {
-          // 1–50  => MUY pequeño (para que no “inunde” el mapa): ~2.0 a ~3.1
-          r = 1.8 + Math.sqrt(v) * 0.18;
-          return { radius: r, fill: 'rgba(248,113,113,.85)', stroke: '#000', fillOpacity: 0.75 };
-        }
-        if (v <= 100) {
-          // 50–100 => mediano: ~4.5 a ~5.3
-          r = 2.5 + Math.sqrt(v) * 0.28;
-          return { radius: r, fill: 'rgba(239,68,68,.85)', stroke: '#000', fillOpacity: 0.75 };
-        }
-        // >100 => grande y con contraste fuerte (sqrt) para parecerse a ArcGIS
-        // 100 => ~10.5, 400 => ~17, 1600 => ~30 (aprox)
-        r = 4.0 + Math.sqrt(v) * 0.65;
-        return { radius: r, fill: 'rgba(185,28,28,.85)', stroke: '#000', fillOpacity: 0.75 };
-      },
-      weight: 0.9
-    }),
-    'otrasNacionalidades'
-  );
-
-  // Mostrar/ocultar la leyenda de burbujas (panel) para Violencia
-  const cbViol = document.getElementById('tgViol');
-  const lgViol = document.getElementById('legendViol');
-  const syncViolLegend = () => {
-    if (!lgViol) return;
-    lgViol.style.display = (cbViol && cbViol.checked) ? 'block' : 'none';
-  };
-  if (cbViol) cbViol.addEventListener('change', syncViolLegend);
-  syncViolLegend();
-
-  // Mostrar\/ocultar la leyenda de burbujas (panel) para Otras Nacionalidades
-  const cbOtras = document.getElementById('tgOtras');
-  const lgOtras = document.getElementById('legendOtras');
-  const syncOtrasLegend = () => {
-    if (!lgOtras) return;
-    lgOtras.style.display = (cbOtras && cbOtras.checked) ? 'block' : 'none';
-  };
-  if (cbOtras) cbOtras.addEventListener('change', syncOtrasLegend);
-  syncOtrasLegend();
-
-  toggleLayer(
-    'tgIENo',
-    () => loadPointLayer('ieNoAtendidas', 'ieNoAtendidas', {
-      fixedRadius: 2.8,
-      fillColor: '#555D50',
-      strokeColor: '#ffffff',
-      weight: 0.8,
-      fillOpacity: 0.75
-    }),
-    'ieNoAtendidas'
-  );
-  
-
-  // Zona de Atención Prioritaria (subtoggled por ESTADO_IE_)
-  initPriorizacionToggles();
-// Servicios básicos: 4 toggles (Sí/No para Electricidad y Agua)
-  initServiciosToggles();
+  // Dashboard de la vista actual (se recalcula en cada moveend)
+  initDashboard();
+
+  // Brecha de servicios: tabla provincia × estado combinado (exportable)
+  initServiceCrossTab();
+
+  // Análisis de proximidad (radio en km + N más cercanas con electricidad)
+  initProximity();
+
+  // Selección por área dibujada (resumen, tabla, exportación y GeoJSON)
+  initDrawSelection();
+
+  // Capas propias: GeoJSON / TopoJSON / CSV / Shapefile .zip (arrastrar y soltar)
+  initUploads();
+
+  // Uso sin conexión: service worker, instalación y descarga de teselas por provincia
+  initOffline();
+
+  // Calidad de datos: reporte de las fuentes del catálogo (HTML / JSON)
+  initDataQuality();
+
+  // Serie temporal: fecha de los datos (capas con "versions") y cambios entre dos fechas
+  initTimeSeries();
+
+  // Violencia: simbología (burbujas / densidad kernel) y leyendas del panel
+  initViolenceHeat();
+
+  // Otras Nacionalidades: simbología (burbujas / gráfico circular) y leyendas del panel
+  initOtrasOptions();
+
+  // Puntos: violencia, otras nacionalidades, fiscales sin atención, zona prioritaria
+  // (sub-toggles por ESTADO_IE_) y servicios básicos (Sí/No) sobre el registro por AMIE
+  initSchoolToggles();
+
+  // Agrupación opcional de puntos en clústeres con agregados por capa
+  initClusterMode();
+
+  // Buscador de instituciones (barra lateral)
+  initSearch();
+
+  // Filtros por atributo (zona, distrito, régimen, jurisdicción, oferta, lengua, tipo)
+  initAttrFilters();
+
+  // Drill-down Provincia / Cantón (panel de resumen territorial)
+  initDrillDown();
+
+  // Exportar lo visible (CSV / XLSX / GeoJSON)
+  initExport();
+
+  // Permalink: mantiene el hash actualizado
+  initPermalink();
+
+  // Impresión (A4/A3 horizontal, PDF / PNG)
+  initPrint();
+
+  // Índice compuesto de prioridad (pesos, leyenda y ranking por cantón)
+  initPriorityIndex();
+
+  // Coropletas NBI (modo temático de la capa de cantones)
+  initNbiThematic();
+
+  // Zona de Atención Prioritaria: sub-toggles por Estado (se completan con los datos)
+  initPriorEstados();
+
+  // Violencia por tipo (sub-toggles bajo tgViol)
+  initViolenceTypes();
+
+  // Leyendas generadas desde la simbología (barra lateral + control en el mapa)
+  refreshLegends();
 })();
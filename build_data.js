@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/* build_data.js - preprocesa las capas del catálogo para el visor (sin dependencias)
+ *
+ * Por cada capa de catalogo_capas.json con "source.topojson":
+ *   1. reproyecta a EPSG:4326 si viene en UTM (WGS84 / zona 17S por defecto)
+ *   2. valida el resultado con data_validator.js (geometrías, límites, AMIE, tipos, dominios)
+ *   3. elimina las propiedades que el visor no usa (lista "fields" de la capa, si existe)
+ *   4. escribe un TopoJSON cuantizado en la ruta "source.topojson", con el tamaño y el SHA-1
+ *      de la fuente en "build" (check_coords.js y el visor avisan si la fuente cambió después)
+ *
+ * Las versiones fechadas de una capa ("versions") se procesan igual, cada una con su "source".
+ * El visor carga el TopoJSON y, si falta o falla, el GeoJSON original ("source.path").
+ *
+ * Uso:
+ *   node build_data.js                    # todas las capas
+ *   node build_data.js cantonesNbi        # solo algunas (por id)
+ *   node build_data.js --check            # solo valida, no escribe
+ *   node build_data.js --quantization=1e5 # precisión (por defecto 1e6 ≈ 2 m en Ecuador)
+ *   node build_data.js --utm-zone=18      # zona UTM sur si el origen no la declara
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const DataValidator = require('./data_validator');
+
+const ROOT = __dirname;
+const CATALOG = path.join(ROOT, 'catalogo_capas.json');
+
+// ---------- Argumentos ----------
+function parseArgs(argv) {
+  const opts = { ids: [], check: false, quantization: 1e6, utmZone: 17 };
+  for (const a of argv) {
+    if (a === '--check') opts.check = true;
+    else if (a.startsWith('--quantization=')) opts.quantization = Number(a.split('=')[1]);
+    else if (a.startsWith('--utm-zone=')) opts.utmZone = Number(a.split('=')[1]);
+    else if (a === '-h' || a === '--help') opts.help = true;
+    else opts.ids.push(a);
+  }
+  if (!(opts.quantization >= 2)) throw new Error('--quantization debe ser >= 2');
+  if (!(opts.utmZone >= 1 && opts.utmZone <= 60)) throw new Error('--utm-zone debe estar entre 1 y 60');
+  return opts;
+}
+
+// ---------- UTM (hemisferio sur) -> WGS84 ----------
+// Serie de Krüger (precisión submilimétrica dentro de la zona), elipsoide WGS84.
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const UTM_K0 = 0.9996;
+
+const _n = WGS84_F / (2 - WGS84_F);
+const _A = WGS84_A / (1 + _n) * (1 + _n * _n / 4 + _n ** 4 / 64);
+const _beta = [
+  _n / 2 - 2 * _n ** 2 / 3 + 37 * _n ** 3 / 96,
+  _n ** 2 / 48 + _n ** 3 / 15,
+  17 * _n ** 3 / 480
+];
+const _delta = [
+  2 * _n - 2 * _n ** 2 / 3 - 2 * _n ** 3,
+  7 * _n ** 2 / 3 - 8 * _n ** 3 / 5,
+  56 * _n ** 3 / 15
+];
+
+function utmSouthToLonLat(easting, northing, zone) {
+  const xi = (northing - 10000000) / (UTM_K0 * _A);
+  const eta = (easting - 500000) / (UTM_K0 * _A);
+  let xi1 = xi;
+  let eta1 = eta;
+  for (let j = 1; j <= 3; j++) {
+    xi1 -= _beta[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+    eta1 -= _beta[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+  }
+  const chi = Math.asin(Math.sin(xi1) / Math.cosh(eta1));
+  let phi = chi;
+  for (let j = 1; j <= 3; j++) phi += _delta[j - 1] * Math.sin(2 * j * chi);
+  const lambda0 = (zone * 6 - 183) * Math.PI / 180;
+  const lambda = lambda0 + Math.atan(Math.sinh(eta1) / Math.cos(xi1));
+  return [lambda * 180 / Math.PI, phi * 180 / Math.PI];
+}
+
+// ---------- Recorrido de geometrías ----------
+function eachPosition(coords, fn) {
+  if (!Array.isArray(coords)) return;
+  if (typeof coords[0] === 'number') {
+    fn(coords);
+    return;
+  }
+  for (const c of coords) eachPosition(c, fn);
+}
+
+function mapPositions(coords, fn) {
+  if (!Array.isArray(coords)) return coords;
+  if (typeof coords[0] === 'number') return fn(coords);
+  return coords.map(c => mapPositions(c, fn));
+}
+
+// Zona UTM sur declarada en "crs" (EPSG:327zz), o null si el GeoJSON no la indica
+function declaredUtmZone(gj) {
+  const name = String(gj?.crs?.properties?.name || '');
+  const m = name.match(/327(\d\d)\b/);
+  return m ? Number(m[1]) : null;
+}
+
+// Misma heurística que el visor (_geojsonLooksLikeLonLat): mayoría de valores fuera de grados
+function looksProjected(gj) {
+  let bad = 0;
+  let seen = 0;
+  for (const f of gj.features) {
+    if (seen > 2000) break;
+    eachPosition(f.geometry?.coordinates, ([x, y]) => {
+      seen++;
+      if (Math.abs(x) > 180 || Math.abs(y) > 90) bad++;
+    });
+  }
+  return seen > 0 && bad / seen >= 0.2;
+}
+
+// ---------- Propiedades ----------
+function stripProperties(entry, gj, report) {
+  if (!Array.isArray(entry.fields)) return;
+  const keep = new Set(entry.fields);
+  const dropped = new Set();
+  for (const f of gj.features) {
+    const p = f.properties || {};
+    const out = {};
+    for (const k of Object.keys(p)) {
+      if (keep.has(k)) out[k] = p[k];
+      else dropped.add(k);
+    }
+    f.properties = out;
+  }
+  if (dropped.size) report.info.push(`${dropped.size} propiedades eliminadas`);
+}
+
+// ---------- TopoJSON cuantizado ----------
+// Cada anillo / línea es un arco propio (sin topología compartida: los archivos son
+// independientes y el visor no edita bordes). Arcos con codificación delta.
+function toTopology(name, gj, q) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const f of gj.features) {
+    eachPosition(f.geometry?.coordinates, ([x, y]) => {
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+    });
+  }
+  if (!Number.isFinite(x0)) x0 = y0 = x1 = y1 = 0;
+  const kx = x1 > x0 ? (q - 1) / (x1 - x0) : 1;
+  const ky = y1 > y0 ? (q - 1) / (y1 - y0) : 1;
+  const quant = ([x, y]) => [Math.round((x - x0) * kx), Math.round((y - y0) * ky)];
+
+  const arcs = [];
+  const arc = (line, minLen) => {
+    const pts = line.map(quant);
+    // Quita vértices repetidos tras cuantizar (sin dejar anillos degenerados)
+    const dedup = pts.filter((p, i) => i === 0 || p[0] !== pts[i - 1][0] || p[1] !== pts[i - 1][1]);
+    const use = dedup.length >= minLen ? dedup : pts;
+    const delta = use.map((p, i) => (i ? [p[0] - use[i - 1][0], p[1] - use[i - 1][1]] : p));
+    arcs.push(delta);
+    return arcs.length - 1;
+  };
+
+  const geometry = (g) => {
+    switch (g.type) {
+      case 'Point': return { type: 'Point', coordinates: quant(g.coordinates) };
+      case 'MultiPoint': return { type: 'MultiPoint', coordinates: g.coordinates.map(quant) };
+      case 'LineString': return { type: 'LineString', arcs: [arc(g.coordinates, 2)] };
+      case 'MultiLineString': return { type: 'MultiLineString', arcs: g.coordinates.map(l => [arc(l, 2)]) };
+      case 'Polygon': return { type: 'Polygon', arcs: g.coordinates.map(r => [arc(r, 4)]) };
+      case 'MultiPolygon': return { type: 'MultiPolygon', arcs: g.coordinates.map(p => p.map(r => [arc(r, 4)])) };
+      default: throw new Error(`tipo de geometría no soportado: ${g.type}`);
+    }
+  };
+
+  const geometries = gj.features.map((f) => {
+    const g = f.geometry ? geometry(f.geometry) : { type: null };
+    if (f.id !== undefined) g.id = f.id;
+    g.properties = f.properties || {};
+    return g;
+  });
+
+  return {
+    type: 'Topology',
+    bbox: [x0, y0, x1, y1],
+    transform: { scale: [1 / kx, 1 / ky], translate: [x0, y0] },
+    objects: { [name]: { type: 'GeometryCollection', geometries } },
+    arcs
+  };
+}
+
+function fmtKb(bytes) {
+  return `${(bytes / 1024).toFixed(0)} kB`;
+}
+
+// ---------- Proceso por capa ----------
+function buildLayer(entry, opts) {
+  const src = entry.source || {};
+  const report = { errors: [], warnings: [], info: [] };
+  const inFile = path.join(ROOT, src.path);
+  if (!fs.existsSync(inFile)) {
+    report.warnings.push(`no existe ${src.path} (se omite)`);
+    return report;
+  }
+
+  let gj;
+  const raw = fs.readFileSync(inFile);
+  try {
+    gj = JSON.parse(raw.toString('utf8'));
+  } catch (e) {
+    report.errors.push(`JSON inválido: ${e.message}`);
+    return report;
+  }
+
+  if (!gj || gj.type !== 'FeatureCollection' || !Array.isArray(gj.features)) {
+    report.errors.push('no es un FeatureCollection de GeoJSON');
+    return report;
+  }
+
+  const zone = declaredUtmZone(gj) || (looksProjected(gj) ? opts.utmZone : null);
+  if (zone) {
+    for (const f of gj.features) {
+      if (f && f.geometry) f.geometry.coordinates = mapPositions(f.geometry.coordinates, ([x, y]) => utmSouthToLonLat(x, y, zone));
+    }
+    report.info.push(`reproyectado desde UTM ${zone}S (EPSG:327${zone})`);
+  }
+  delete gj.crs;
+
+  // Mismas comprobaciones que check_coords.js y el panel "Calidad de datos", ya en grados
+  for (const i of DataValidator.validateLayer(entry, gj).issues) {
+    const list = i.level === 'error' ? report.errors : i.level === 'warning' ? report.warnings : report.info;
+    list.push(`${i.count > 1 ? `${i.count} × ` : ''}${i.message}`);
+  }
+  if (report.errors.length) return report;
+
+  stripProperties(entry, gj, report);
+  if (opts.check) return report;
+
+  const topo = toTopology(entry.id, gj, opts.quantization);
+  topo.build = { source: src.path, size: raw.length, sha1: crypto.createHash('sha1').update(raw).digest('hex') };
+  const outFile = path.join(ROOT, src.topojson);
+  const json = JSON.stringify(topo);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, json);
+  report.info.push(`${src.path} (${fmtKb(raw.length)}) -> ${src.topojson} (${fmtKb(json.length)})`);
+  return report;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0]);
+    return 0;
+  }
+  const catalog = JSON.parse(fs.readFileSync(CATALOG, 'utf8'));
+  const entries = (catalog.layers || [])
+    .filter(l => !opts.ids.length || opts.ids.includes(l.id))
+    .flatMap(l => [l, ...(l.versions || []).map(v => ({ ...l, source: v.source, date: v.date, version: true }))])
+    .filter(l => l.source && l.source.path && l.source.topojson && !/^https?:\/\//i.test(l.source.path));
+  if (!entries.length) {
+    console.error('Ninguna capa del catálogo tiene "source.topojson"' + (opts.ids.length ? ` (${opts.ids.join(', ')})` : ''));
+    return 1;
+  }
+
+  let failed = 0;
+  for (const entry of entries) {
+    const r = buildLayer(entry, opts);
+    console.log(`\n[${entry.id}${entry.version ? ` @ ${entry.date}` : ''}]`);
+    r.info.forEach(m => console.log(`  ${m}`));
+    r.warnings.forEach(m => console.log(`  AVISO: ${m}`));
+    r.errors.forEach(m => console.log(`  ERROR: ${m}`));
+    if (r.errors.length) failed++;
+  }
+  console.log(failed ? `\n${failed} capa(s) con errores` : '\nOK');
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main();
+  } catch (e) {
+    console.error(e.message || e);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { utmSouthToLonLat, toTopology };
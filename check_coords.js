@@ -1 +1,118 @@
-// util script placeholder
\ No newline at end of file
+#!/usr/bin/env node
+/* check_coords.js - reporte de calidad de las capas del catálogo (sin dependencias)
+ *
+ * Lee catalogo_capas.json y el GeoJSON original ("source.path") de cada capa y revisa:
+ * CRS, límites de Ecuador, geometría vs. Longitud/Latitud, AMIE repetidos, tipos de campo,
+ * valores fuera de dominio, texto mal codificado y consistencia del AMIE entre archivos.
+ * También que el TopoJSON ("source.topojson") se haya generado con la fuente actual.
+ * Las reglas están en data_validator.js (las mismas del panel "Calidad de datos" del visor).
+ *
+ * Uso:
+ *   node check_coords.js                           # todas las capas
+ *   node check_coords.js servicios violencia       # solo algunas (por id)
+ *   node check_coords.js --json=reporte.json --html=reporte.html
+ *
+ * Sale con código 1 si alguna capa tiene errores (p.ej. un TopoJSON desactualizado).
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const DataValidator = require('./data_validator');
+
+const ROOT = __dirname;
+const CATALOG = path.join(ROOT, 'catalogo_capas.json');
+
+function parseArgs(argv) {
+  const opts = { ids: [], json: null, html: null };
+  for (const a of argv) {
+    if (a.startsWith('--json=')) opts.json = a.slice(7);
+    else if (a.startsWith('--html=')) opts.html = a.slice(7);
+    else if (a === '-h' || a === '--help') opts.help = true;
+    else opts.ids.push(a);
+  }
+  return opts;
+}
+
+// TopoJSON de build_data.js frente a la fuente (sin TopoJSON local no hay nada que revisar)
+function checkBuild(entry, file, raw) {
+  const t = entry.source.topojson;
+  if (!t || /^https?:\/\//i.test(t)) return [];
+  const topoFile = path.join(ROOT, t);
+  if (!fs.existsSync(topoFile)) return [];
+  let build;
+  try {
+    build = JSON.parse(fs.readFileSync(topoFile, 'utf8')).build;
+  } catch (e) {
+    return [{ level: 'error', code: 'topo-invalid', message: `${t}: JSON inválido (${e.message})` }];
+  }
+  return DataValidator.validateBuild(t, build, {
+    size: raw.length,
+    sha1: crypto.createHash('sha1').update(raw).digest('hex'),
+    sourceNewer: fs.statSync(file).mtimeMs > fs.statSync(topoFile).mtimeMs
+  });
+}
+
+function readSource(entry) {
+  const p = entry.source.path;
+  if (/^https?:\/\//i.test(p)) return { entry, error: `fuente remota (${p}); usa el panel del visor` };
+  const file = path.join(ROOT, p);
+  if (!fs.existsSync(file)) return { entry, missing: true };
+  const raw = fs.readFileSync(file);
+  try {
+    return { entry, data: JSON.parse(raw.toString('utf8')), extra: checkBuild(entry, file, raw) };
+  } catch (e) {
+    return { entry, error: `JSON inválido: ${e.message}` };
+  }
+}
+
+function printIssues(issues) {
+  const tag = { error: 'ERROR', warning: 'AVISO', info: 'INFO' };
+  for (const i of issues) {
+    console.log(`  ${tag[i.level]}: ${i.count > 1 ? `${i.count} × ` : ''}${i.message}`);
+    if (i.examples && i.examples.length) console.log(`         ${i.examples.slice(0, 3).join(' · ')}${i.examples.length > 3 || i.more ? ' …' : ''}`);
+  }
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0]);
+    return 0;
+  }
+  const catalog = JSON.parse(fs.readFileSync(CATALOG, 'utf8'));
+  // Cada versión fechada ("versions") se revisa como una capa más (<id>@<fecha>)
+  const entries = (catalog.layers || [])
+    .filter(l => !opts.ids.length || opts.ids.includes(l.id))
+    .flatMap(l => [l, ...(l.versions || []).map(v => ({ ...l, id: `${l.id}@${v.date}`, title: `${l.title} (${v.date})`, source: v.source }))])
+    .filter(l => l.source && l.source.path);
+  if (!entries.length) {
+    console.error('Ninguna capa del catálogo coincide' + (opts.ids.length ? ` (${opts.ids.join(', ')})` : ''));
+    return 1;
+  }
+
+  const report = DataValidator.validateCatalog(entries.map(readSource));
+  for (const l of report.layers) {
+    console.log(`\n[${l.id}] ${l.source} · ${l.features} elementos`);
+    printIssues(l.issues);
+  }
+  console.log('\n[AMIE entre archivos]');
+  printIssues(report.cross);
+
+  if (opts.json) fs.writeFileSync(opts.json, JSON.stringify(report, null, 2));
+  if (opts.html) fs.writeFileSync(opts.html, DataValidator.reportToHTML(report));
+
+  const s = report.summary;
+  console.log(`\n${s.layers} capas · ${s.errors} errores · ${s.warnings} avisos`);
+  return s.errors ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main();
+  } catch (e) {
+    console.error(e.message || e);
+    process.exitCode = 1;
+  }
+}
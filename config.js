@@ -9,33 +9,46 @@
 
 window.USE_LOCAL_DATA = true;
 
+// Versión de los datos publicados. Cámbiala al actualizar cualquier archivo de /data o el
+// catálogo: el navegador y el modo sin conexión (sw.js) descargan de nuevo solo entonces.
+window.DATA_VERSION = '2026-10-19';
+
 // Si quieres servir datos por URL (sin Supabase), usa RAW de GitHub.
 // OJO: el archivo debe existir en el repo (no en Releases), por ejemplo en /data.
 window.RAW_BASE = 'https://raw.githubusercontent.com/powerpaz/IE_Atendidas_no_atendidas/main/';
 
-// URLs por capa (modo remoto). Se usan solo si USE_LOCAL_DATA = false.
-window.LAYER_URLS = {
-  // Polígonos
-  provincias: window.RAW_BASE + 'provincias_simplificado.geojson',
-  cantonesNbiGeo: window.RAW_BASE + 'data/cantones_nbi_mayor_50.geojson',
-  cantonesNbiTopo: window.RAW_BASE + 'data/cantones_nbi_mayor_50.topo.json',
-
-  // Puntos
-  violencia: window.RAW_BASE + 'data/total_casos_violencia.geojson',
-  otrasNacionalidades: window.RAW_BASE + 'data/total_estudiantes_otras_nacionalidades.geojson',
-  ieNoAtendidas: window.RAW_BASE + 'data/ie_fiscales_no_atendidas.geojson',
-  servicios: window.RAW_BASE + 'data/servicios_agua_luz.geojson',
-  priorizacionZona: window.RAW_BASE + 'data/Priorizacion_Zona.geojson',
-};
+// Catálogo de capas: fuente, geometría, clasificación, colores, popup y leyenda de cada capa.
+// Las rutas del catálogo son relativas al repo: se usan tal cual con USE_LOCAL_DATA = true
+// y con RAW_BASE delante en modo remoto (las URLs absolutas se respetan).
+window.LAYER_CATALOG_URL = 'catalogo_capas.json';
+
+// Opcional: sobrescribir la fuente de una capa sin tocar el catálogo (clave = id de la capa;
+// "<id>Topo" reemplaza el TopoJSON, p.ej. cantonesNbiTopo).
+// window.LOCAL_PATHS = { violencia: 'data/total_casos_violencia_2024.geojson' };
+// window.LAYER_URLS = { servicios: 'https://example.org/servicios_agua_luz.geojson' };
 
-// Rutas locales (modo estable, misma web)
-window.LOCAL_PATHS = {
-  provincias: 'provincias_simplificado.geojson',
-  cantonesNbiGeo: 'data/cantones_nbi_mayor_50.geojson',
-  cantonesNbiTopo: 'data/cantones_nbi_mayor_50.topo.json',
-  violencia: 'data/total_casos_violencia.geojson',
-  otrasNacionalidades: 'data/total_estudiantes_otras_nacionalidades.geojson',
-  ieNoAtendidas: 'data/ie_fiscales_no_atendidas.geojson',
-  servicios: 'data/servicios_agua_luz.geojson',
-  priorizacionZona: 'data/Priorizacion_Zona.geojson',
+// Opcional: colores de los Estados (ESTADO_IE_) de la Zona de Atención Prioritaria; reemplazan
+// los del catálogo. Cada Estado presente en los datos tiene su sub-toggle, con o sin color aquí.
+// window.PRIOR_COLORS = { REGULAR: '#FFA500', 'EN CONSTRUCCION': '#0ea5e9' };
+
+// Índice compuesto de prioridad (se calcula en el navegador por AMIE y por cantón).
+// Pesos relativos (no necesitan sumar 100); también se ajustan desde la barra lateral.
+window.PRIORITY_INDEX = {
+  weights: { nbi: 30, violencia: 25, servicios: 25, estado: 20 },
+  // Puntaje 0..1 por ESTADO_IE_ (valores no listados = 0)
+  estadoScores: { MALO: 1, DETERIORO: 0.75, REGULAR: 0.5, BUENO: 0 }
 };
+
+// Opcional: teselas para uso sin conexión ("Descargar teselas" en el panel "Uso sin conexión").
+// Las políticas de uso de OpenStreetMap (https://operations.osmfoundation.org/policies/tiles/)
+// y de Esri no permiten la descarga masiva de sus teselas, por eso el visor no las descarga:
+// configura aquí un servidor propio o un proveedor cuyos términos la autoricen. Se agrega como
+// capa base y el visor la usa solo al quedarse sin conexión. maxTiles = tope de teselas guardadas.
+// window.OFFLINE_TILES = {
+//   url: 'https://tiles.ejemplo.gob.ec/{z}/{x}/{y}.png',
+//   label: 'Mapa sin conexión',
+//   attribution: '&copy; OpenStreetMap contributors',
+//   terms: 'https://tiles.ejemplo.gob.ec/terminos',
+//   maxZoom: 14,
+//   maxTiles: 1000
+// };
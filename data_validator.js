@@ -0,0 +1,406 @@
+/* data_validator.js - validación de las capas del catálogo (navegador y Node)
+ *
+ * Lo usan check_coords.js (CLI), build_data.js y el panel "Calidad de datos" del visor.
+ * No depende de nada: recibe el catálogo y el GeoJSON de cada capa y devuelve un reporte
+ *   { generated, layers: [{ id, title, source, features, status, issues }], cross, summary }
+ * con issues { level: 'error' | 'warning' | 'info', code, message, count, examples }.
+ * validateBuild compara el TopoJSON de build_data.js con la fuente de la que salió.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DataValidator = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Ecuador continental + Galápagos (con margen), en grados
+  const ECUADOR_BBOX = { west: -92.2, south: -5.1, east: -75.1, north: 1.7 };
+  const GEOMETRY_TYPES = {
+    point: ['Point', 'MultiPoint'],
+    polygon: ['Polygon', 'MultiPolygon'],
+    line: ['LineString', 'MultiLineString']
+  };
+  const LON_KEYS = ['Longitud', 'LONGITUD', 'LONGITUD2'];
+  const LAT_KEYS = ['Latitud', 'LATITUD', 'LATITUD2'];
+  const NAME_KEYS = ['NOM_INSTIT', 'NOMBRE_IE_', 'NOMBRE'];
+  // Distancia (m) a partir de la cual la geometría "no coincide" con Longitud/Latitud o entre archivos
+  const COORD_TOLERANCE_M = 100;
+  const CROSS_TOLERANCE_M = 500;
+  const MAX_EXAMPLES = 10;
+  // Texto UTF-8 leído como Latin-1 / CP850 (p.ej. "EXTENSI├ôN", "EducaciÃ³n")
+  const MOJIBAKE_RE = /[├┤┬┴┼│─]|Ã[\u0080-¿]|Â[\u0080-¿]/;
+  const NUMERIC_TEXT_RE = /^\s*-?\d+(?:[.,]\d+)?\s*$/;
+
+  // ---------- Utilidades ----------
+  function eachPosition(coords, fn) {
+    if (!Array.isArray(coords)) return;
+    if (typeof coords[0] === 'number') {
+      fn(coords);
+      return;
+    }
+    for (const c of coords) eachPosition(c, fn);
+  }
+
+  function toNumber(v) {
+    if (v === null || v === undefined || v === '') return null;
+    if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+    const n = Number(String(v).replace(/,/g, '.').replace(/\s+/g, ''));
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function firstProp(p, keys) {
+    for (const k of keys) {
+      if (p && p[k] !== null && p[k] !== undefined && String(p[k]).trim() !== '') return p[k];
+    }
+    return null;
+  }
+
+  function normAmie(v) {
+    const s = String(v ?? '').trim().toUpperCase();
+    return s || null;
+  }
+
+  function distanceM(a, b) {
+    const r = Math.PI / 180;
+    const dLat = (b[1] - a[1]) * r;
+    const dLon = (b[0] - a[0]) * r;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(a[1] * r) * Math.cos(b[1] * r) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371008.8 * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  function looksProjected(gj) {
+    let bad = 0;
+    let seen = 0;
+    for (const f of gj.features) {
+      if (seen > 2000) break;
+      eachPosition(f && f.geometry && f.geometry.coordinates, ([x, y]) => {
+        seen++;
+        if (Math.abs(x) > 180 || Math.abs(y) > 90) bad++;
+      });
+    }
+    return seen > 0 && bad / seen >= 0.2;
+  }
+
+  function featureLabel(f, i) {
+    const p = (f && f.properties) || {};
+    const amie = normAmie(p.AMIE);
+    const name = firstProp(p, NAME_KEYS) || p.DPA_DESCAN || p.DPA_DESPRO;
+    return [amie, name].filter(Boolean).join(' · ') || `#${i}`;
+  }
+
+  // Acumulador de incidencias por código (cuenta + primeros ejemplos)
+  function issueBag() {
+    const map = new Map();
+    return {
+      add(level, code, message, example) {
+        let it = map.get(code);
+        if (!it) map.set(code, it = { level, code, message, count: 0, examples: [], more: false });
+        it.count++;
+        if (example === undefined) return;
+        if (it.examples.length < MAX_EXAMPLES) it.examples.push(example);
+        else it.more = true;
+      },
+      push(issue) {
+        map.set(issue.code, { examples: [], count: 1, more: false, ...issue });
+      },
+      list() {
+        const order = { error: 0, warning: 1, info: 2 };
+        return [...map.values()].sort((a, b) => order[a.level] - order[b.level]);
+      }
+    };
+  }
+
+  function statusOf(issues) {
+    if (issues.some(i => i.level === 'error')) return 'error';
+    if (issues.some(i => i.level === 'warning')) return 'warning';
+    return 'ok';
+  }
+
+  // ---------- Dominios y tipos declarados en el catálogo ----------
+  // Dominio = "domains" de la capa; además, las categorías de una clasificación categórica
+  function fieldDomains(entry) {
+    const out = {};
+    for (const [k, vals] of Object.entries(entry.domains || {})) out[k] = vals.map(v => String(v).trim().toUpperCase());
+    const cl = entry.classification;
+    if (cl && cl.type === 'categorical' && typeof cl.field === 'string' && !out[cl.field]) {
+      out[cl.field] = Object.keys(cl.categories || {}).map(v => v.toUpperCase());
+    }
+    return out;
+  }
+
+  function fieldTypes(entry) {
+    const out = { ...(entry.types || {}) };
+    const cl = entry.classification;
+    if (cl && cl.type === 'graduated') {
+      for (const f of (Array.isArray(cl.field) ? cl.field : [cl.field])) if (f && !out[f]) out[f] = 'number';
+    }
+    return out;
+  }
+
+  // ---------- Validación de una capa ----------
+  function validateLayer(entry, gj, opts) {
+    const o = opts || {};
+    const bag = issueBag();
+    const report = { id: entry.id, title: entry.title || entry.id, source: (entry.source || {}).path || '', features: 0 };
+
+    if (o.missing) {
+      bag.add('warning', 'source', 'No existe la fuente (la capa no se mostrará)');
+      return { ...report, issues: bag.list(), status: 'warning' };
+    }
+    if (o.loadError) {
+      bag.add('error', 'source', `No se pudo leer la fuente: ${o.loadError}`);
+      return { ...report, issues: bag.list(), status: 'error' };
+    }
+    if (!gj || gj.type !== 'FeatureCollection' || !Array.isArray(gj.features)) {
+      bag.add('error', 'structure', 'No es un FeatureCollection de GeoJSON');
+      return { ...report, issues: bag.list(), status: 'error' };
+    }
+    report.features = gj.features.length;
+
+    // CRS: declarado y aparente
+    const crsName = String((gj.crs && gj.crs.properties && gj.crs.properties.name) || '');
+    const projected = looksProjected(gj);
+    if (projected) {
+      const zone = (crsName.match(/327(\d\d)\b/) || [])[1];
+      bag.push({
+        level: 'warning', code: 'crs',
+        message: `Coordenadas proyectadas${zone ? ` (UTM ${zone}S, ${crsName})` : ' sin CRS declarado (se asume UTM 17S)'}; el visor las reproyecta al cargar (ejecuta build_data.js)`
+      });
+    } else if (crsName && !/CRS84|4326/.test(crsName)) {
+      bag.push({ level: 'warning', code: 'crs', message: `CRS declarado "${crsName}" con coordenadas en grados` });
+    }
+
+    const allowed = GEOMETRY_TYPES[entry.geometry] || [];
+    const domains = fieldDomains(entry);
+    const types = fieldTypes(entry);
+    const domainHits = {};
+    const textNumbers = {};
+    const amies = new Map();
+    const points = [];
+
+    gj.features.forEach((f, i) => {
+      if (!f || f.type !== 'Feature') {
+        bag.add('error', 'feature', 'Elementos que no son Feature', `#${i}`);
+        return;
+      }
+      const p = f.properties || {};
+      const g = f.geometry;
+      const label = featureLabel(f, i);
+
+      // Geometría
+      if (!g) {
+        bag.add('warning', 'geom-null', 'Elementos sin geometría', label);
+      } else if (allowed.length && !allowed.includes(g.type)) {
+        bag.add('error', 'geom-type', `Geometrías que no son ${allowed.join('/')}`, `${label} (${g.type})`);
+      } else {
+        let finite = true;
+        let outside = false;
+        eachPosition(g.coordinates, ([x, y]) => {
+          if (!Number.isFinite(x) || !Number.isFinite(y)) finite = false;
+          else if (!projected && (x < ECUADOR_BBOX.west || x > ECUADOR_BBOX.east || y < ECUADOR_BBOX.south || y > ECUADOR_BBOX.north)) outside = true;
+        });
+        if (!finite) bag.add('error', 'coords', 'Coordenadas no numéricas', label);
+        if (outside) bag.add('warning', 'bounds', 'Elementos fuera de Ecuador', label);
+
+        // Punto vs. Longitud / Latitud de la tabla
+        if (finite && !projected && g.type === 'Point') {
+          const lon = toNumber(firstProp(p, LON_KEYS));
+          const lat = toNumber(firstProp(p, LAT_KEYS));
+          if (lon !== null && lat !== null) {
+            const d = distanceM(g.coordinates, [lon, lat]);
+            if (d > COORD_TOLERANCE_M) {
+              bag.add('warning', 'coords-attr', `Geometría a más de ${COORD_TOLERANCE_M} m de Longitud/Latitud`, `${label} (${Math.round(d)} m)`);
+            }
+          }
+          points.push({ amie: normAmie(p.AMIE), pos: g.coordinates, name: firstProp(p, NAME_KEYS) });
+        }
+      }
+
+      // AMIE
+      const amie = normAmie(p.AMIE);
+      if (entry.geometry === 'point') {
+        if (!amie) bag.add('warning', 'amie-missing', 'Instituciones sin AMIE', label);
+        else amies.set(amie, (amies.get(amie) || 0) + 1);
+      }
+
+      // Tipos, dominios y texto
+      for (const [k, v] of Object.entries(p)) {
+        if (typeof v === 'string') {
+          if (MOJIBAKE_RE.test(v)) bag.add('warning', 'encoding', 'Texto con codificación dañada (UTF-8 leído como otro juego de caracteres)', `${k}: ${v}`);
+          if (NUMERIC_TEXT_RE.test(v) && (types[k] === 'number' || v.includes(','))) {
+            textNumbers[k] = textNumbers[k] || { count: 0, example: v };
+            textNumbers[k].count++;
+          }
+        }
+        if (types[k] === 'number' && v !== null && v !== '' && toNumber(v) === null) {
+          bag.add('warning', `type-${k}`, `Campo ${k}: valores no numéricos`, String(v));
+        }
+        if (domains[k] && v !== null && v !== undefined && String(v).trim() !== '') {
+          const val = String(v).trim().toUpperCase();
+          if (!domains[k].includes(val)) {
+            domainHits[k] = domainHits[k] || {};
+            domainHits[k][val] = (domainHits[k][val] || 0) + 1;
+          }
+        }
+      }
+    });
+
+    for (const [k, t] of Object.entries(textNumbers)) {
+      bag.push({
+        level: 'warning', code: `text-number-${k}`, count: t.count,
+        message: `Campo ${k}: números guardados como texto${t.example.includes(',') ? ' con coma decimal' : ''} (p.ej. "${t.example}")`
+      });
+    }
+    for (const [k, vals] of Object.entries(domainHits)) {
+      const list = Object.entries(vals).sort((a, b) => b[1] - a[1]);
+      bag.push({
+        level: 'warning', code: `domain-${k}`, count: list.reduce((s, [, n]) => s + n, 0),
+        message: `Campo ${k}: valores fuera del dominio (${domains[k].join(', ')})`,
+        examples: list.slice(0, MAX_EXAMPLES).map(([v, n]) => `${v} (${n})`),
+        more: list.length > MAX_EXAMPLES
+      });
+    }
+    const dups = [...amies.entries()].filter(([, n]) => n > 1);
+    if (dups.length) {
+      bag.push({
+        level: 'warning', code: 'amie-dup', count: dups.length, message: 'AMIE repetidos',
+        examples: dups.slice(0, MAX_EXAMPLES).map(([a, n]) => `${a} (${n})`),
+        more: dups.length > MAX_EXAMPLES
+      });
+    }
+
+    for (const i of o.extra || []) bag.push(i);
+    const issues = bag.list();
+    return { ...report, issues, status: statusOf(issues), _points: points };
+  }
+
+  // ---------- Consistencia entre archivos (mismo AMIE) ----------
+  function validateCross(layerReports) {
+    const bag = issueBag();
+    const byAmie = new Map();
+    for (const r of layerReports) {
+      for (const pt of r._points || []) {
+        if (!pt.amie) continue;
+        if (!byAmie.has(pt.amie)) byAmie.set(pt.amie, []);
+        byAmie.get(pt.amie).push({ layer: r.id, ...pt });
+      }
+    }
+    for (const [amie, list] of byAmie) {
+      const layers = [...new Set(list.map(x => x.layer))];
+      if (layers.length < 2) continue;
+      const first = list[0];
+      for (const other of list.slice(1)) {
+        if (other.layer === first.layer) continue;
+        const d = distanceM(first.pos, other.pos);
+        if (d > CROSS_TOLERANCE_M) {
+          bag.add('warning', 'cross-coords', `Mismo AMIE a más de ${CROSS_TOLERANCE_M} m entre archivos`, `${amie}: ${first.layer} / ${other.layer} (${(d / 1000).toFixed(1)} km)`);
+        }
+        const a = String(first.name || '').trim().toUpperCase();
+        const b = String(other.name || '').trim().toUpperCase();
+        if (a && b && a !== b) {
+          bag.add('info', 'cross-name', 'Mismo AMIE con distinto nombre entre archivos', `${amie}: "${first.name}" / "${other.name}"`);
+        }
+      }
+    }
+    return bag.list();
+  }
+
+  // items: [{ entry, data } | { entry, missing: true } | { entry, error }] (una por capa con fuente)
+  function validateCatalog(items) {
+    const layers = items.map(it => validateLayer(it.entry, it.data, { missing: it.missing, loadError: it.error, extra: it.extra }));
+    const cross = validateCross(layers);
+    for (const l of layers) delete l._points;
+    const all = [...layers.flatMap(l => l.issues), ...cross];
+    return {
+      generated: new Date().toISOString(),
+      layers,
+      cross,
+      summary: {
+        layers: layers.length,
+        errors: all.filter(i => i.level === 'error').length,
+        warnings: all.filter(i => i.level === 'warning').length
+      }
+    };
+  }
+
+  // ---------- TopoJSON vs. fuente ----------
+  // build: miembro "build" que build_data.js deja en el TopoJSON ({ source, size, sha1 } del
+  // GeoJSON con que se generó). actual: { size, sha1, sourceNewer } de la fuente de hoy; sin
+  // sha1 se compara solo el tamaño y sourceNewer (fecha de archivo) se usa si falta "build".
+  function validateBuild(topoPath, build, actual) {
+    const rebuild = 'ejecuta node build_data.js';
+    if (!build) {
+      return [actual.sourceNewer
+        ? { level: 'error', code: 'topo-stale', message: `${topoPath} es anterior a su fuente: el visor mostraría datos viejos (${rebuild})` }
+        : { level: 'warning', code: 'topo-stale', message: `${topoPath} no registra de qué fuente salió (${rebuild})` }];
+    }
+    const changed = build.size !== actual.size || (!!actual.sha1 && !!build.sha1 && build.sha1 !== actual.sha1);
+    return changed
+      ? [{ level: 'error', code: 'topo-stale', message: `${topoPath} no corresponde a la fuente actual: el visor mostraría datos viejos (${rebuild})` }]
+      : [];
+  }
+
+  // ---------- Salida ----------
+  function esc(v) {
+    return String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+
+  const LEVEL_LABEL = { error: 'Error', warning: 'Aviso', info: 'Info' };
+  const STATUS_LABEL = { ok: 'OK', warning: 'Con avisos', error: 'Con errores' };
+
+  function issuesHTML(issues) {
+    if (!issues.length) return '<div class="dq-ok">Sin observaciones</div>';
+    return `<ul class="dq-issues">${issues.map(i => `
+      <li class="dq-${i.level}">
+        <b>${LEVEL_LABEL[i.level]}</b> ${esc(i.message)}${i.count > 1 ? ` <span class="dq-count">${i.count}</span>` : ''}
+        ${i.examples && i.examples.length ? `<div class="dq-examples">${i.examples.map(esc).join(' · ')}${i.more ? ' …' : ''}</div>` : ''}
+      </li>`).join('')}</ul>`;
+  }
+
+  // Cuerpo del reporte (lo usa el panel del visor y el HTML independiente)
+  function reportBodyHTML(report) {
+    const s = report.summary;
+    return `
+      <div class="dq-summary">${s.layers} capas · <b>${s.errors}</b> errores · <b>${s.warnings}</b> avisos</div>
+      ${report.layers.map(l => `
+        <details class="dq-layer dq-${l.status}"${l.status === 'ok' ? '' : ' open'}>
+          <summary><span class="dq-status">${STATUS_LABEL[l.status]}</span> ${esc(l.title)} <small>${esc(l.source)} · ${l.features} elementos</small></summary>
+          ${issuesHTML(l.issues)}
+        </details>`).join('')}
+      <details class="dq-layer dq-${statusOf(report.cross)}"${report.cross.length ? ' open' : ''}>
+        <summary><span class="dq-status">${STATUS_LABEL[statusOf(report.cross)]}</span> Consistencia entre archivos (AMIE)</summary>
+        ${issuesHTML(report.cross)}
+      </details>`;
+  }
+
+  function reportToHTML(report) {
+    return `<!doctype html>
+<html lang="es"><head><meta charset="utf-8"><title>Calidad de datos</title>
+<style>
+  body{font:14px/1.4 system-ui,sans-serif;margin:24px;color:#111827;}
+  .dq-summary{margin-bottom:12px;}
+  .dq-layer{border:1px solid #e5e7eb;border-radius:8px;padding:6px 10px;margin:6px 0;}
+  .dq-layer summary{cursor:pointer;font-weight:600;}
+  .dq-status{display:inline-block;min-width:86px;font-size:12px;}
+  .dq-error .dq-status,.dq-issues .dq-error b{color:#b91c1c;}
+  .dq-warning .dq-status,.dq-issues .dq-warning b{color:#b45309;}
+  .dq-ok .dq-status,.dq-ok{color:#15803d;}
+  .dq-issues{margin:6px 0;padding-left:18px;}
+  .dq-count{background:#f3f4f6;border-radius:999px;padding:0 6px;font-size:12px;}
+  .dq-examples{color:#6b7280;font-size:12px;}
+</style></head><body>
+<h1>Calidad de datos</h1>
+<p>Generado: ${esc(report.generated)}</p>
+${reportBodyHTML(report)}
+</body></html>`;
+  }
+
+  return {
+    ECUADOR_BBOX,
+    validateLayer,
+    validateCross,
+    validateCatalog,
+    validateBuild,
+    reportBodyHTML,
+    reportToHTML
+  };
+});
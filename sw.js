@@ -0,0 +1,147 @@
+/* sw.js - service worker del visor (uso sin conexión) */
+
+// La versión llega en la URL de registro (sw.js?v=DATA_VERSION, ver config.js): al cambiarla
+// se instala un service worker nuevo, se vuelven a descargar app y datos y se borran los anteriores.
+const DATA_VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+
+const CACHE_APP = `visor-app-${DATA_VERSION}`;
+const CACHE_DATA = `visor-data-${DATA_VERSION}`;
+// Librerías de CDN (URLs con versión) y teselas descargadas: no dependen de DATA_VERSION
+const CACHE_LIBS = 'visor-libs';
+const CACHE_TILES = 'visor-tiles';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'styles.css',
+  'config.js',
+  'data_validator.js',
+  'app.js',
+  'manifest.webmanifest',
+  'icon.svg',
+  'logo.png'
+];
+
+// Librerías que carga index.html (las opcionales se guardan al usarse por primera vez)
+const CDN_LIBS = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/leaflet.markercluster@1.4.1/dist/MarkerCluster.css',
+  'https://unpkg.com/leaflet.markercluster@1.4.1/dist/MarkerCluster.Default.css',
+  'https://unpkg.com/leaflet.markercluster@1.4.1/dist/leaflet.markercluster.js',
+  'https://unpkg.com/topojson-client/dist/topojson-client.min.js',
+  'https://unpkg.com/proj4@2.9.2/dist/proj4.js'
+];
+
+const CDN_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+// Teselas XYZ (…/z/x/y.png, …/tile/z/y/x) de cualquier proveedor: el de OFFLINE_TILES en config.js
+const TILE_PATH_RE = /\/\d+\/\d+\/\d+(?:\.(?:png|jpe?g|webp))?$/i;
+
+function isDataRequest(url) {
+  return /\.(geojson|topo\.json)$/i.test(url.pathname) || url.pathname.endsWith('/catalogo_capas.json');
+}
+
+function isTileRequest(url) {
+  return TILE_PATH_RE.test(url.pathname);
+}
+
+function hostIn(url, hosts) {
+  return hosts.some(h => url.hostname === h || url.hostname.endsWith(`.${h}`));
+}
+
+// Fuentes declaradas en el catálogo (GeoJSON y variantes TopoJSON, también de otras fechas)
+async function catalogDataPaths() {
+  const res = await fetch('catalogo_capas.json', { cache: 'no-store' });
+  const cat = await res.json();
+  const paths = [];
+  for (const l of cat.layers || []) {
+    const sources = [l.source, ...(l.versions || []).map(v => v.source)];
+    for (const p of sources.flatMap(s => Object.values(s || {}))) {
+      if (typeof p === 'string' && !/^https?:\/\//i.test(p)) paths.push(p);
+    }
+  }
+  return [...new Set(['catalogo_capas.json', ...paths])];
+}
+
+// Precarga tolerante: un archivo que falta (p.ej. el .topo.json opcional) no aborta la instalación
+async function addAllSettled(cacheName, urls) {
+  const cache = await caches.open(cacheName);
+  await Promise.all(urls.map(u => cache.add(new Request(u, { cache: 'reload' })).catch((e) => {
+    console.warn('[SW] No se pudo precargar', u, e);
+  })));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    await addAllSettled(CACHE_APP, APP_SHELL);
+    await addAllSettled(CACHE_LIBS, CDN_LIBS);
+    try {
+      await addAllSettled(CACHE_DATA, await catalogDataPaths());
+    } catch (e) {
+      console.warn('[SW] No se pudo leer el catálogo para precargar datos', e);
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [CACHE_APP, CACHE_DATA, CACHE_LIBS, CACHE_TILES];
+    for (const k of await caches.keys()) {
+      if (k.startsWith('visor-') && !keep.includes(k)) await caches.delete(k);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Primero la caché; si no está, red (y se guarda si "store")
+async function cacheFirst(req, cacheName, { store = true, ignoreSearch = false } = {}) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(req, { ignoreSearch });
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (store && (res.ok || res.type === 'opaque')) cache.put(req, res.clone());
+  return res;
+}
+
+// Primero la red (app siempre al día con conexión); sin conexión, la copia guardada
+async function networkFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(req, { ignoreSearch: true });
+    if (hit) return hit;
+    if (req.mode === 'navigate') {
+      const index = await cache.match('index.html');
+      if (index) return index;
+    }
+    throw e;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  // Datos: la URL lleva ?v=DATA_VERSION; dentro de la caché versionada se ignora el parámetro
+  if (isDataRequest(url)) {
+    event.respondWith(cacheFirst(req, CACHE_DATA, { ignoreSearch: true }));
+    return;
+  }
+  // Teselas: solo las descargadas desde "Uso sin conexión" (no se acumula lo que se navega)
+  if (isTileRequest(url)) {
+    event.respondWith(cacheFirst(req, CACHE_TILES, { store: false }));
+    return;
+  }
+  if (hostIn(url, CDN_HOSTS)) {
+    event.respondWith(cacheFirst(req, CACHE_LIBS));
+    return;
+  }
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(req, CACHE_APP));
+  }
+});